@@ -0,0 +1,1509 @@
+// Generated by scripts/generate-client.js from openapi.json - do not edit.
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export type ErrorResponse = {
+    success: false;
+    /** Human-readable message */
+    error: string;
+    /** Machine-readable code, e.g. invalid_request, opted_out, resend_cooldown */
+    reason?: string;
+    /** Present when reason is invalid_request */
+    errors?: Array<FieldError>;
+};
+
+export type FieldError = {
+    /** Where the problem is: body.*, query.* or params.* */
+    field: string;
+    reason: "required" | "invalid_type" | "invalid_format" | "invalid_value" | "too_short" | "too_long" | "too_small" | "too_large" | "too_few" | "too_many" | "unknown_field" | "invalid";
+    message: string;
+};
+
+/** National (DEFAULT_COUNTRY) or international number; WhatsApp JIDs are accepted as-is */
+export type PhoneNumber = string;
+
+/** WhatsApp number to send from (default: DEFAULT_SESSION_ID) */
+export type SessionId = string;
+
+export type Locale = string;
+
+/** Lets the email fallback channel reach the recipient */
+export type Email = string;
+
+/** The end user's IP, forwarded by the calling backend; without it the per-IP limit is skipped */
+export type IpAddress = string;
+
+/** Amount in BRL without currency symbol: "14.90", "14,90" or 14.9 */
+export type Money = string | number;
+
+export type OtpCode = string;
+
+/** When to send, ISO 8601 with timezone, up to SCHEDULE_MAX_DAYS ahead */
+export type SendAt = string;
+
+export type ScheduleTag = string;
+
+export type MissedPolicy = "send" | "skip";
+
+/** whatsapp, sms, email or another registered channel */
+export type Channel = string;
+
+export type Fallback = {
+    channels: Array<Channel>;
+    /** When the fallback kicks in if WhatsApp has not delivered */
+    at: string;
+    reason?: "session_unavailable" | "not_on_whatsapp";
+};
+
+export type Deferred = {
+    reason: "quiet_hours";
+    until: string;
+};
+
+export type QueuedMessage = {
+    success: true;
+    message: string;
+    messageId: string;
+    status: "queued";
+    channel?: Channel;
+    fallback?: Fallback;
+    sendAt?: string;
+    tag?: string;
+    deferred?: Deferred;
+    session: string;
+    /** Recipient JID */
+    number: string;
+};
+
+export type Session = {
+    id: string;
+    connected: boolean;
+    connectionState: "idle" | "connecting" | "open" | "backoff" | "logged_out" | "replaced" | "stopped";
+    nextReconnectAt?: string | null;
+    downSince?: string | null;
+    pairingState: string;
+    pairedAt?: string | null;
+    phone?: string | null;
+    connectedSince?: string | null;
+    lastDisconnect?: Record<string, unknown> | null;
+    dailyLimit?: number | null;
+    default: boolean;
+};
+
+export type Message = {
+    id: string;
+    session_id?: string;
+    request_id?: string | null;
+    endpoint?: string | null;
+    recipient: string;
+    message_type: string;
+    status: "queued" | "sending" | "sent" | "dead" | "cancelled" | "skipped";
+    delivery_status?: "pending" | "sent" | "delivered" | "read" | "failed";
+    attempts?: number;
+    max_attempts?: number;
+    last_error?: string | null;
+    next_attempt_at?: string;
+    send_at?: string | null;
+    tag?: string | null;
+    cancelled_at?: string | null;
+    channel?: Channel;
+    channel_message_id?: string | null;
+    fallback_channels?: Array<string> | null;
+    fallback_status?: "pending" | "sending" | "sent" | "failed" | "not_needed" | null;
+    fallback_at?: string | null;
+    fallback_attempts?: number;
+    fallback_error?: string | null;
+    wa_message_id?: string | null;
+    sent_at?: string | null;
+    delivered_at?: string | null;
+    read_at?: string | null;
+    failed_at?: string | null;
+    created_at?: string;
+    updated_at?: string;
+    events?: Array<{
+        status?: string;
+        occurred_at?: string;
+    }>;
+};
+
+export type ScheduledMessage = {
+    id: string;
+    session_id?: string;
+    recipient: string;
+    message_type?: string;
+    status: string;
+    send_at?: string | null;
+    next_attempt_at?: string;
+    tag?: string | null;
+    /** send or skip; null = SCHEDULE_MISSED_POLICY */
+    missed_policy?: string | null;
+    attempts?: number;
+    created_at?: string;
+};
+
+export type Template = {
+    id?: string;
+    name: string;
+    locale: string;
+    version: number;
+    body?: string;
+    variables?: Array<string>;
+    active?: boolean;
+    created_at?: string;
+};
+
+export type ContactPreferences = {
+    phone: string;
+    opted_out_at?: string | null;
+    opt_out_source?: string | null;
+    opt_out_reason?: string | null;
+    timezone?: string | null;
+};
+
+export type WhatsAppGroup = {
+    group_id: string;
+    session_id?: string;
+    jid: string;
+    subject?: string | null;
+    description?: string | null;
+    post_reminders?: boolean;
+    post_digest?: boolean;
+    invited?: Array<string> | null;
+    synced_at?: string | null;
+};
+
+export type GroupSyncResult = {
+    link?: WhatsAppGroup;
+    added?: Array<string>;
+    removed?: Array<string>;
+    invited?: Array<string>;
+    failed?: Array<Record<string, unknown>>;
+    skipped?: Array<{
+        memberId?: string;
+        name?: string;
+        reason?: "no_phone" | "not_on_whatsapp" | "invalid_phone";
+    }>;
+    subjectUpdated?: boolean;
+    descriptionUpdated?: boolean;
+};
+
+export type WebhookEvent = "*" | "message.received" | "message.status" | "connection.open" | "connection.close" | "session.logged_out" | "session.down" | "session.recovered";
+
+export type Webhook = {
+    id: string;
+    url: string;
+    events: Array<WebhookEvent>;
+    active: boolean;
+    /** Only returned on creation */
+    secret?: string;
+    created_at?: string;
+    updated_at?: string;
+};
+
+export type WebhookDelivery = {
+    id: string;
+    webhook_id?: string;
+    event: string;
+    status: "pending" | "delivering" | "delivered" | "failed";
+    attempts?: number;
+    max_attempts?: number;
+    response_status?: number | null;
+    last_error?: string | null;
+    next_attempt_at?: string | null;
+    delivered_at?: string | null;
+    created_at?: string;
+    payload?: Record<string, unknown>;
+};
+
+export type ApiKeyScope = "otp:send" | "billing:send" | "messages:send" | "admin";
+
+export type ApiKey = {
+    id: string;
+    name: string;
+    key_prefix?: string;
+    scopes: Array<ApiKeyScope>;
+    expires_at?: string | null;
+    revoked_at?: string | null;
+    rotated_from?: string | null;
+    created_at?: string;
+    active?: boolean;
+};
+
+export type SandboxMessage = {
+    id: string;
+    session: string;
+    to: string;
+    type: string;
+    text?: string | null;
+    mentions?: Array<string>;
+    quoted?: string | null;
+    content?: Record<string, unknown>;
+    sentAt: string;
+};
+
+/** Exactly one of url or base64 */
+export type MediaInput = {
+    url?: string;
+    /** Raw base64 or a data: URI */
+    base64?: string;
+    mimetype?: string;
+    /** Required for documents */
+    fileName?: string;
+};
+
+/** The field named by `type` carries the content (text, media, location, contacts, list, buttons) */
+export type SendMessageRequest = {
+    number: PhoneNumber;
+    session?: SessionId;
+    type?: "text" | "image" | "video" | "audio" | "document" | "location" | "contacts" | "list" | "buttons";
+    text?: string;
+    caption?: string;
+    media?: MediaInput;
+    voiceNote?: boolean;
+    mentions?: Array<PhoneNumber>;
+    location?: {
+        latitude: number;
+        longitude: number;
+        name?: string;
+        address?: string;
+    };
+    contacts?: Array<{
+        name: string;
+        phone: string;
+        organization?: string;
+    }>;
+    list?: {
+        title?: string;
+        text: string;
+        footer?: string;
+        sections: Array<{
+            title?: string;
+            rows: Array<{
+                title: string;
+                description?: string;
+            }>;
+        }>;
+    };
+    buttons?: {
+        text: string;
+        footer?: string;
+        buttons: Array<{
+            text: string;
+        }>;
+    };
+    quoted?: {
+        /** One of our messages */
+        messageId?: string;
+        /** WhatsApp id from a message.received event */
+        id?: string;
+        participant?: PhoneNumber;
+        text?: string;
+    };
+    /** Skip opt-out and quiet hours */
+    transactional?: boolean;
+    email?: Email;
+    sendAt?: SendAt;
+    tag?: ScheduleTag;
+    missedPolicy?: MissedPolicy;
+};
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+export type GetHealthResponse = {
+    success: true;
+    connected: boolean;
+    pairingState?: string;
+    sessions: Array<Session>;
+    timestamp?: string;
+};
+
+export type GetLivenessResponse = {
+    success: true;
+    status: "live";
+    uptimeSeconds?: number;
+    timestamp?: string;
+};
+
+export type GetReadinessResponse = {
+    success: boolean;
+    status: "ready" | "not_ready";
+    authStore?: {
+        store?: string;
+        reachable?: boolean;
+        error?: string;
+    };
+    sessions?: Array<Session>;
+    timestamp?: string;
+};
+
+export type GetMetricsResponse = string;
+
+export type GetOpenApiSpecResponse = Record<string, unknown>;
+
+export type GetDocsResponse = string;
+
+export type ListSessionsResponse = {
+    success: true;
+    sessions: Array<Session>;
+};
+
+export type CreateSessionBody = {
+    id: SessionId;
+};
+
+export type CreateSessionResponse = {
+    success: true;
+    message?: string;
+    session: Session;
+};
+
+export type RemoveSessionResponse = {
+    success: true;
+    message?: string;
+};
+
+export type GetSessionQrQuery = {
+    session?: SessionId;
+    format?: "png" | "svg" | "json";
+};
+
+export type GetSessionQrResponse = Blob | string | {
+    success: true;
+    session: string;
+    qr: string;
+    /** PNG data URI */
+    image: string;
+    updatedAt?: string;
+};
+
+export type RequestPairingCodeBody = {
+    phoneNumber: PhoneNumber;
+    session?: SessionId;
+};
+
+export type RequestPairingCodeResponse = {
+    success: true;
+    session: string;
+    code: string;
+    message?: string;
+};
+
+export type SendOtpBody = {
+    number: PhoneNumber;
+    code: OtpCode;
+    locale?: Locale;
+    session?: SessionId;
+    email?: Email;
+};
+
+export type SendOtpResponse = QueuedMessage;
+
+export type RequestOtpBody = {
+    number: PhoneNumber;
+    locale?: Locale;
+    session?: SessionId;
+    email?: Email;
+    clientIp?: IpAddress;
+};
+
+export type RequestOtpResponse = {
+    success: true;
+    message?: string;
+    messageId: string;
+    channel?: Channel;
+    fallback?: Fallback;
+    number: string;
+    expiresAt: string;
+    /** Seconds before another code can be requested */
+    resendAfter?: number;
+};
+
+export type VerifyOtpBody = {
+    number: PhoneNumber;
+    code: OtpCode;
+};
+
+export type VerifyOtpResponse = {
+    success: true;
+    valid: true;
+    number: string;
+};
+
+export type NotifyBillingBody = {
+    number: PhoneNumber;
+    type: "D-1" | "D0" | "D+1";
+    service: string;
+    value: Money;
+    pixKey: string;
+    locale?: Locale;
+    /** Default PIX_MERCHANT_NAME; accents and symbols are dropped, cut to 25 characters */
+    merchantName?: string;
+    /** Default PIX_MERCHANT_CITY; cut to 15 characters */
+    merchantCity?: string;
+    /** Letters and digits, up to 25 (generated when omitted) */
+    txid?: string;
+    /** Default PIX_ATTACH_TO_BILLING */
+    attachPix?: boolean;
+    session?: SessionId;
+    email?: Email;
+    sendAt?: SendAt;
+    tag?: ScheduleTag;
+    missedPolicy?: MissedPolicy;
+};
+
+export type NotifyBillingResponse = QueuedMessage & {
+    type?: string;
+    pix?: {
+        payload?: string;
+        txid?: string;
+        /** Message carrying the copy-and-paste code */
+        messageId?: string;
+    } | null;
+};
+
+export type RunBillingQuery = {
+    /** List who would be messaged without sending */
+    dryRun?: boolean;
+};
+
+export type RunBillingResponse = {
+    success: true;
+    dryRun: boolean;
+    date: string;
+    count?: number;
+    notifications: Array<Record<string, unknown>>;
+    leaderNotifications?: Array<Record<string, unknown>>;
+    groupPosts?: Array<Record<string, unknown>>;
+};
+
+export type PreviewPixBody = {
+    pixKey: string;
+    value: Money;
+    merchantName?: string;
+    merchantCity?: string;
+    txid?: string;
+    description?: string;
+};
+
+export type PreviewPixResponse = {
+    success: true;
+    payload: string;
+    txid: string;
+    /** PNG data URI */
+    image: string;
+};
+
+export type ListTemplatesResponse = {
+    success: true;
+    templates: Array<Template>;
+};
+
+export type GetTemplateResponse = {
+    success: true;
+    versions: Array<Template>;
+};
+
+export type SaveTemplateBody = {
+    locale?: Locale;
+    body: string;
+};
+
+export type SaveTemplateResponse = {
+    success: true;
+    template: Template;
+};
+
+export type PreviewTemplateBody = {
+    locale?: Locale;
+    version?: number;
+    /** Values for the {{placeholders}} */
+    variables?: Record<string, unknown>;
+};
+
+export type PreviewTemplateResponse = {
+    success: true;
+    name?: string;
+    locale?: string;
+    version?: number;
+    variables?: Array<string>;
+    text: string;
+};
+
+export type CheckContactsBody = {
+    numbers: Array<PhoneNumber>;
+    session?: SessionId;
+};
+
+export type CheckContactsResponse = {
+    success: true;
+    results: Array<{
+        input: string;
+        e164?: string;
+        exists?: boolean;
+        jid?: string | null;
+        cached?: boolean;
+        error?: string;
+        reason?: string;
+    }>;
+};
+
+export type GetContactPreferencesResponse = {
+    success: true;
+    preferences: ContactPreferences;
+    effectiveTimezone: string;
+    quietHours?: {
+        start?: string;
+        end?: string;
+    };
+};
+
+export type SetContactPreferencesBody = {
+    /** IANA timezone; null = QUIET_HOURS_DEFAULT_TIMEZONE */
+    timezone: string | null;
+};
+
+export type SetContactPreferencesResponse = {
+    success: true;
+    preferences: ContactPreferences;
+};
+
+export type ListMessagesQuery = {
+    number: PhoneNumber;
+    session?: SessionId;
+    /** Page size (capped at 100) */
+    limit?: number;
+};
+
+export type ListMessagesResponse = {
+    success: true;
+    messages: Array<Message>;
+};
+
+export type SendMessageBody = SendMessageRequest;
+
+export type SendMessageResponse = QueuedMessage & {
+    type?: string;
+};
+
+export type GetMessageResponse = {
+    success: true;
+    message: Message;
+};
+
+export type ListScheduledQuery = {
+    tag?: string;
+    number?: PhoneNumber;
+    session?: SessionId;
+    /** Page size (capped at 500) */
+    limit?: number;
+};
+
+export type ListScheduledResponse = {
+    success: true;
+    count: number;
+    messages: Array<ScheduledMessage>;
+};
+
+export type CancelScheduledByTagQuery = {
+    tag: ScheduleTag;
+};
+
+export type CancelScheduledByTagResponse = {
+    success: true;
+    cancelled: number;
+    messageIds: Array<string>;
+};
+
+export type RescheduleMessageBody = {
+    sendAt?: SendAt;
+    tag?: ScheduleTag;
+    missedPolicy?: MissedPolicy;
+};
+
+export type RescheduleMessageResponse = {
+    success: true;
+    message: ScheduledMessage;
+};
+
+export type CancelScheduledMessageResponse = {
+    success: true;
+    message?: string;
+    messageId: string;
+};
+
+export type GetWhatsAppGroupResponse = {
+    success: true;
+    group: WhatsAppGroup;
+};
+
+export type CreateWhatsAppGroupBody = {
+    session?: SessionId;
+    postReminders?: boolean;
+    postDigest?: boolean;
+};
+
+export type CreateWhatsAppGroupResponse = {
+    success: true;
+    created: boolean;
+} & GroupSyncResult;
+
+export type UpdateWhatsAppGroupBody = {
+    postReminders?: boolean;
+    postDigest?: boolean;
+};
+
+export type UpdateWhatsAppGroupResponse = {
+    success: true;
+    group: WhatsAppGroup;
+};
+
+export type UnlinkWhatsAppGroupQuery = {
+    /** Also leave the WhatsApp group */
+    leave?: boolean;
+};
+
+export type UnlinkWhatsAppGroupResponse = {
+    success: true;
+    message?: string;
+};
+
+export type SyncWhatsAppGroupResponse = {
+    success: true;
+} & GroupSyncResult;
+
+export type PostToWhatsAppGroupBody = {
+    kind?: "reminder" | "digest";
+};
+
+export type PostToWhatsAppGroupResponse = {
+    success: true;
+    message?: string;
+    messageId: string;
+    kind: string;
+    status?: string;
+    deferred?: Deferred;
+    jid: string;
+};
+
+export type ListSuppressionsQuery = {
+    number?: PhoneNumber;
+    /** Page size (capped at 500) */
+    limit?: number;
+};
+
+export type ListSuppressionsResponse = {
+    success: true;
+    count: number;
+    suppressions: Array<ContactPreferences>;
+};
+
+export type AddSuppressionBody = {
+    number: PhoneNumber;
+    reason?: string;
+};
+
+export type AddSuppressionResponse = {
+    success: true;
+    suppression: ContactPreferences;
+};
+
+export type RemoveSuppressionResponse = {
+    success: true;
+    message?: string;
+};
+
+export type ListWebhooksResponse = {
+    success: true;
+    webhooks: Array<Webhook>;
+};
+
+export type CreateWebhookBody = {
+    url: string;
+    events?: Array<WebhookEvent>;
+    /** Generated when omitted */
+    secret?: string;
+};
+
+export type CreateWebhookResponse = {
+    success: true;
+    webhook: Webhook;
+};
+
+export type UpdateWebhookBody = {
+    url?: string;
+    events?: Array<WebhookEvent>;
+    active?: boolean;
+};
+
+export type UpdateWebhookResponse = {
+    success: true;
+    webhook: Webhook;
+};
+
+export type DeleteWebhookResponse = {
+    success: true;
+    message?: string;
+};
+
+export type ListWebhookDeliveriesQuery = {
+    status?: "pending" | "delivering" | "delivered" | "failed";
+    webhookId?: string;
+    event?: string;
+    /** Page size (capped at 200) */
+    limit?: number;
+};
+
+export type ListWebhookDeliveriesResponse = {
+    success: true;
+    deliveries: Array<WebhookDelivery>;
+};
+
+export type GetWebhookDeliveryResponse = {
+    success: true;
+    delivery: WebhookDelivery;
+};
+
+export type ReplayWebhookDeliveryResponse = {
+    success: true;
+    message?: string;
+    delivery: {
+        id?: string;
+        status?: string;
+    };
+};
+
+export type ListApiKeysResponse = {
+    success: true;
+    apiKeys: Array<ApiKey>;
+};
+
+export type CreateApiKeyBody = {
+    name: string;
+    scopes: Array<ApiKeyScope>;
+    expiresAt?: string;
+};
+
+export type CreateApiKeyResponse = {
+    success: true;
+    apiKey: ApiKey;
+    key: string;
+};
+
+export type RotateApiKeyBody = {
+    /** Default API_KEY_ROTATION_OVERLAP_SECONDS */
+    overlapSeconds?: number;
+};
+
+export type RotateApiKeyResponse = {
+    success: true;
+    apiKey: ApiKey;
+    key: string;
+    previous?: ApiKey;
+};
+
+export type RevokeApiKeyResponse = {
+    success: true;
+    message?: string;
+};
+
+export type GetApiKeyAuditQuery = {
+    /** Page size (capped at 500) */
+    limit?: number;
+};
+
+export type GetApiKeyAuditResponse = {
+    success: true;
+    entries: Array<{
+        method?: string;
+        path?: string;
+        status_code?: number;
+        message_id?: string | null;
+        ip?: string | null;
+        created_at?: string;
+    }>;
+};
+
+export type ListSandboxOutboxQuery = {
+    session?: string;
+    to?: string;
+    type?: string;
+    contains?: string;
+};
+
+export type ListSandboxOutboxResponse = {
+    success: true;
+    count: number;
+    messages: Array<SandboxMessage>;
+};
+
+export type ClearSandboxOutboxResponse = {
+    success: true;
+    cleared: number;
+};
+
+export type AssertSandboxOutboxBody = {
+    session?: string;
+    /** Number or JID */
+    to?: string;
+    /** text, image, document... */
+    type?: string;
+    /** Case-insensitive text match */
+    contains?: string;
+    /** Exact number expected (default: at least one) */
+    count?: number;
+    timeoutMs?: number;
+};
+
+export type AssertSandboxOutboxResponse = {
+    success: true;
+    count: number;
+    messages: Array<SandboxMessage>;
+};
+
+export type SetSandboxNumberBody = {
+    behavior: "ok" | "unregistered" | "fail" | "private";
+};
+
+export type SetSandboxNumberResponse = {
+    success: true;
+    number: string;
+    behavior: string;
+};
+
+export type ScriptSandboxConnectionBody = {
+    action?: "connect" | "drop" | "logout" | "replace" | "restart";
+    autoConnect?: boolean;
+    session?: SessionId;
+};
+
+export type ScriptSandboxConnectionResponse = {
+    success: true;
+    autoConnect: boolean;
+    session: Session;
+};
+
+export type SendSandboxInboundBody = {
+    from: PhoneNumber;
+    text: string;
+    /** WhatsApp id of the message replied to */
+    quoted?: string;
+    /** Group JID; `from` becomes the participant */
+    group?: string;
+    pushName?: string;
+    session?: SessionId;
+};
+
+export type SendSandboxInboundResponse = {
+    success: true;
+    id: string;
+    from: string;
+};
+
+export type SendSandboxReceiptBody = {
+    messageId: string;
+    status?: "delivered" | "read" | "played" | "failed";
+};
+
+export type SendSandboxReceiptResponse = {
+    success: true;
+    messageId: string;
+    status: string;
+};
+
+// ============================================
+// CLIENT
+// ============================================
+
+export interface ClientOptions {
+    /** e.g. https://whatsapp.rachaai.com.br */
+    baseUrl: string;
+    /** Sent as X-API-Key */
+    apiKey?: string;
+    /** Defaults to the global fetch */
+    fetch?: typeof fetch;
+    /** Per-request timeout; 0 = none. Default 30000 */
+    timeoutMs?: number;
+}
+
+export interface RequestOptions {
+    /** Idempotency-Key header: retries with the same key replay the first response */
+    idempotencyKey?: string;
+    /** X-Request-Id header, echoed back and logged by the service */
+    requestId?: string;
+    signal?: AbortSignal;
+    headers?: Record<string, string>;
+}
+
+export declare class WhatsAppApiError extends Error {
+    /** HTTP status */
+    status: number;
+    /** Machine-readable code, e.g. invalid_request, opted_out, resend_cooldown */
+    reason: string | null;
+    /** One entry per invalid field when reason is invalid_request */
+    errors: FieldError[];
+    /** Seconds from Retry-After, on 429 */
+    retryAfter: number | null;
+    requestId: string | null;
+    body: unknown;
+}
+
+export declare class WhatsAppClient {
+    constructor(options: ClientOptions);
+
+    /**
+     * Connection summary of every session
+     *
+     * `GET /health`
+     */
+    getHealth(options?: RequestOptions): Promise<GetHealthResponse>;
+
+    /**
+     * Process is up
+     *
+     * `GET /health/live`
+     */
+    getLiveness(options?: RequestOptions): Promise<GetLivenessResponse>;
+
+    /**
+     * Auth store reachable and default session connected
+     *
+     * `GET /health/ready`
+     */
+    getReadiness(options?: RequestOptions): Promise<GetReadinessResponse>;
+
+    /**
+     * Prometheus metrics
+     *
+     * `GET /metrics`
+     *
+     * Public unless METRICS_TOKEN is set, then `Authorization: Bearer <METRICS_TOKEN>`.
+     */
+    getMetrics(options?: RequestOptions): Promise<GetMetricsResponse>;
+
+    /**
+     * This document
+     *
+     * `GET /v1/openapi.json`
+     */
+    getOpenApiSpec(options?: RequestOptions): Promise<GetOpenApiSpecResponse>;
+
+    /**
+     * Interactive API reference
+     *
+     * `GET /v1/docs`
+     */
+    getDocs(options?: RequestOptions): Promise<GetDocsResponse>;
+
+    /**
+     * List sessions
+     *
+     * `GET /v1/sessions`
+     *
+     * Scope: `admin`
+     */
+    listSessions(options?: RequestOptions): Promise<ListSessionsResponse>;
+
+    /**
+     * Register a new WhatsApp number
+     *
+     * `POST /v1/sessions`
+     *
+     * Scope: `admin`
+     */
+    createSession(body: CreateSessionBody, options?: RequestOptions): Promise<CreateSessionResponse>;
+
+    /**
+     * Unlink a number and forget its credentials
+     *
+     * `DELETE /v1/sessions/{id}`
+     *
+     * Scope: `admin`
+     */
+    removeSession(id: string, options?: RequestOptions): Promise<RemoveSessionResponse>;
+
+    /**
+     * Current pairing QR code
+     *
+     * `GET /v1/session/qr`
+     *
+     * Scope: `admin`
+     */
+    getSessionQr(query?: GetSessionQrQuery, options?: RequestOptions): Promise<GetSessionQrResponse>;
+
+    /**
+     * Pair with a code instead of the QR
+     *
+     * `POST /v1/session/pair`
+     *
+     * Scope: `admin`
+     */
+    requestPairingCode(body: RequestPairingCodeBody, options?: RequestOptions): Promise<RequestPairingCodeResponse>;
+
+    /**
+     * Send a code you generated
+     *
+     * `POST /v1/send-otp`
+     *
+     * Legacy. Prefer `requestOtp` + `verifyOtp`, which keep only a hash of the code.
+     *
+     * Scope: `otp:send`
+     */
+    sendOtp(body: SendOtpBody, options?: RequestOptions): Promise<SendOtpResponse>;
+
+    /**
+     * Generate a code and send it
+     *
+     * `POST /v1/otp/request`
+     *
+     * Scope: `otp:send`
+     */
+    requestOtp(body: RequestOtpBody, options?: RequestOptions): Promise<RequestOtpResponse>;
+
+    /**
+     * Check a code typed by the user
+     *
+     * `POST /v1/otp/verify`
+     *
+     * Errors: `invalid_code` (try again), `expired` or `too_many_attempts` (request a new code).
+     *
+     * Scope: `otp:send`
+     */
+    verifyOtp(body: VerifyOtpBody, options?: RequestOptions): Promise<VerifyOtpResponse>;
+
+    /**
+     * Send a D-1/D0/D+1 billing reminder
+     *
+     * `POST /v1/notify-billing`
+     *
+     * Scope: `billing:send`
+     */
+    notifyBilling(body: NotifyBillingBody, options?: RequestOptions): Promise<NotifyBillingResponse>;
+
+    /**
+     * Run today's reminders now
+     *
+     * `POST /v1/billing/run`
+     *
+     * Scope: `billing:send`
+     */
+    runBilling(query?: RunBillingQuery, options?: RequestOptions): Promise<RunBillingResponse>;
+
+    /**
+     * Pix copy-and-paste code and QR, without sending
+     *
+     * `POST /v1/pix/preview`
+     *
+     * Scope: `billing:send`
+     */
+    previewPix(body: PreviewPixBody, options?: RequestOptions): Promise<PreviewPixResponse>;
+
+    /**
+     * Every template version
+     *
+     * `GET /v1/templates`
+     *
+     * Scope: `admin`
+     */
+    listTemplates(options?: RequestOptions): Promise<ListTemplatesResponse>;
+
+    /**
+     * Versions of one template
+     *
+     * `GET /v1/templates/{name}`
+     *
+     * Scope: `admin`
+     */
+    getTemplate(name: string, options?: RequestOptions): Promise<GetTemplateResponse>;
+
+    /**
+     * Publish a new version
+     *
+     * `POST /v1/templates/{name}`
+     *
+     * Scope: `admin`
+     */
+    saveTemplate(name: string, body: SaveTemplateBody, options?: RequestOptions): Promise<SaveTemplateResponse>;
+
+    /**
+     * Render without sending
+     *
+     * `POST /v1/templates/{name}/preview`
+     *
+     * Scope: `admin`
+     */
+    previewTemplate(name: string, body?: PreviewTemplateBody, options?: RequestOptions): Promise<PreviewTemplateResponse>;
+
+    /**
+     * Which numbers are on WhatsApp
+     *
+     * `POST /v1/contacts/check`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     */
+    checkContacts(body: CheckContactsBody, options?: RequestOptions): Promise<CheckContactsResponse>;
+
+    /**
+     * Opt-out and timezone of a number
+     *
+     * `GET /v1/contacts/{number}/preferences`
+     *
+     * Scope: `admin`
+     */
+    getContactPreferences(number: string, options?: RequestOptions): Promise<GetContactPreferencesResponse>;
+
+    /**
+     * Set the timezone used for quiet hours
+     *
+     * `PUT /v1/contacts/{number}/preferences`
+     *
+     * Scope: `admin`
+     */
+    setContactPreferences(number: string, body: SetContactPreferencesBody, options?: RequestOptions): Promise<SetContactPreferencesResponse>;
+
+    /**
+     * Messages sent to a number, newest first
+     *
+     * `GET /v1/messages`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     *
+     * Only messages queued with the calling key, unless it has the `admin` scope.
+     */
+    listMessages(query: ListMessagesQuery, options?: RequestOptions): Promise<ListMessagesResponse>;
+
+    /**
+     * Send any content type
+     *
+     * `POST /v1/messages`
+     *
+     * Text with mentions, media, location, contacts, numbered list/buttons menus and quoted replies.
+     *
+     * Scope: `messages:send`
+     */
+    sendMessage(body: SendMessageBody, options?: RequestOptions): Promise<SendMessageResponse>;
+
+    /**
+     * Status, channel and delivery history of a message
+     *
+     * `GET /v1/messages/{id}`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     *
+     * Only messages queued with the calling key, unless it has the `admin` scope.
+     */
+    getMessage(id: string, options?: RequestOptions): Promise<GetMessageResponse>;
+
+    /**
+     * Pending scheduled messages, soonest first
+     *
+     * `GET /v1/scheduled`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     *
+     * Only messages queued with the calling key, unless it has the `admin` scope.
+     */
+    listScheduled(query?: ListScheduledQuery, options?: RequestOptions): Promise<ListScheduledResponse>;
+
+    /**
+     * Cancel everything still queued under a tag
+     *
+     * `DELETE /v1/scheduled`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     *
+     * Only messages queued with the calling key, unless it has the `admin` scope.
+     */
+    cancelScheduledByTag(query: CancelScheduledByTagQuery, options?: RequestOptions): Promise<CancelScheduledByTagResponse>;
+
+    /**
+     * Move to another time or change tag/missedPolicy
+     *
+     * `PATCH /v1/scheduled/{id}`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     *
+     * Only messages queued with the calling key, unless it has the `admin` scope.
+     */
+    rescheduleMessage(id: string, body: RescheduleMessageBody, options?: RequestOptions): Promise<RescheduleMessageResponse>;
+
+    /**
+     * Cancel a message still in the queue
+     *
+     * `DELETE /v1/scheduled/{id}`
+     *
+     * Scope: `otp:send` or `billing:send` or `messages:send`
+     *
+     * Only messages queued with the calling key, unless it has the `admin` scope.
+     */
+    cancelScheduledMessage(id: string, options?: RequestOptions): Promise<CancelScheduledMessageResponse>;
+
+    /**
+     * Current link
+     *
+     * `GET /v1/groups/{groupId}/whatsapp`
+     *
+     * Scope: `admin`
+     */
+    getWhatsAppGroup(groupId: string, options?: RequestOptions): Promise<GetWhatsAppGroupResponse>;
+
+    /**
+     * Create (or return) the WhatsApp group of a RachaAI group
+     *
+     * `POST /v1/groups/{groupId}/whatsapp`
+     *
+     * Scope: `admin`
+     */
+    createWhatsAppGroup(groupId: string, body?: CreateWhatsAppGroupBody, options?: RequestOptions): Promise<CreateWhatsAppGroupResponse>;
+
+    /**
+     * Turn automatic posts on or off
+     *
+     * `PATCH /v1/groups/{groupId}/whatsapp`
+     *
+     * Scope: `admin`
+     */
+    updateWhatsAppGroup(groupId: string, body: UpdateWhatsAppGroupBody, options?: RequestOptions): Promise<UpdateWhatsAppGroupResponse>;
+
+    /**
+     * Forget the link
+     *
+     * `DELETE /v1/groups/{groupId}/whatsapp`
+     *
+     * Scope: `admin`
+     */
+    unlinkWhatsAppGroup(groupId: string, query?: UnlinkWhatsAppGroupQuery, options?: RequestOptions): Promise<UnlinkWhatsAppGroupResponse>;
+
+    /**
+     * Bring members, name and description up to date
+     *
+     * `POST /v1/groups/{groupId}/whatsapp/sync`
+     *
+     * Scope: `admin`
+     */
+    syncWhatsAppGroup(groupId: string, options?: RequestOptions): Promise<SyncWhatsAppGroupResponse>;
+
+    /**
+     * Post a reminder or digest now
+     *
+     * `POST /v1/groups/{groupId}/whatsapp/post`
+     *
+     * Scope: `admin`
+     */
+    postToWhatsAppGroup(groupId: string, body?: PostToWhatsAppGroupBody, options?: RequestOptions): Promise<PostToWhatsAppGroupResponse>;
+
+    /**
+     * Opted-out numbers, newest first
+     *
+     * `GET /v1/suppressions`
+     *
+     * Scope: `admin`
+     */
+    listSuppressions(query?: ListSuppressionsQuery, options?: RequestOptions): Promise<ListSuppressionsResponse>;
+
+    /**
+     * Opt a number out
+     *
+     * `POST /v1/suppressions`
+     *
+     * Scope: `admin`
+     */
+    addSuppression(body: AddSuppressionBody, options?: RequestOptions): Promise<AddSuppressionResponse>;
+
+    /**
+     * Opt a number back in
+     *
+     * `DELETE /v1/suppressions/{number}`
+     *
+     * Scope: `admin`
+     */
+    removeSuppression(number: string, options?: RequestOptions): Promise<RemoveSuppressionResponse>;
+
+    /**
+     * List subscriptions
+     *
+     * `GET /v1/webhooks`
+     *
+     * Scope: `admin`
+     */
+    listWebhooks(options?: RequestOptions): Promise<ListWebhooksResponse>;
+
+    /**
+     * Subscribe to events
+     *
+     * `POST /v1/webhooks`
+     *
+     * Scope: `admin`
+     */
+    createWebhook(body: CreateWebhookBody, options?: RequestOptions): Promise<CreateWebhookResponse>;
+
+    /**
+     * Change url, events or pause it
+     *
+     * `PATCH /v1/webhooks/{id}`
+     *
+     * Scope: `admin`
+     */
+    updateWebhook(id: string, body: UpdateWebhookBody, options?: RequestOptions): Promise<UpdateWebhookResponse>;
+
+    /**
+     * Remove a subscription
+     *
+     * `DELETE /v1/webhooks/{id}`
+     *
+     * Scope: `admin`
+     */
+    deleteWebhook(id: string, options?: RequestOptions): Promise<DeleteWebhookResponse>;
+
+    /**
+     * Deliveries, newest first
+     *
+     * `GET /v1/webhooks/deliveries`
+     *
+     * Scope: `admin`
+     */
+    listWebhookDeliveries(query?: ListWebhookDeliveriesQuery, options?: RequestOptions): Promise<ListWebhookDeliveriesResponse>;
+
+    /**
+     * One delivery with its payload
+     *
+     * `GET /v1/webhooks/deliveries/{id}`
+     *
+     * Scope: `admin`
+     */
+    getWebhookDelivery(id: string, options?: RequestOptions): Promise<GetWebhookDeliveryResponse>;
+
+    /**
+     * Send a delivery again
+     *
+     * `POST /v1/webhooks/deliveries/{id}/replay`
+     *
+     * Scope: `admin`
+     */
+    replayWebhookDelivery(id: string, options?: RequestOptions): Promise<ReplayWebhookDeliveryResponse>;
+
+    /**
+     * List keys (never the key itself)
+     *
+     * `GET /v1/api-keys`
+     *
+     * Scope: `admin`
+     */
+    listApiKeys(options?: RequestOptions): Promise<ListApiKeysResponse>;
+
+    /**
+     * Issue a scoped key
+     *
+     * `POST /v1/api-keys`
+     *
+     * Scope: `admin`
+     */
+    createApiKey(body: CreateApiKeyBody, options?: RequestOptions): Promise<CreateApiKeyResponse>;
+
+    /**
+     * Issue a replacement; the old key works for overlapSeconds
+     *
+     * `POST /v1/api-keys/{id}/rotate`
+     *
+     * Scope: `admin`
+     */
+    rotateApiKey(id: string, body?: RotateApiKeyBody, options?: RequestOptions): Promise<RotateApiKeyResponse>;
+
+    /**
+     * Revoke a key
+     *
+     * `DELETE /v1/api-keys/{id}`
+     *
+     * Scope: `admin`
+     */
+    revokeApiKey(id: string, options?: RequestOptions): Promise<RevokeApiKeyResponse>;
+
+    /**
+     * Which key did what ('default' is X_API_KEY)
+     *
+     * `GET /v1/api-keys/{id}/audit`
+     *
+     * Scope: `admin`
+     */
+    getApiKeyAudit(id: string, query?: GetApiKeyAuditQuery, options?: RequestOptions): Promise<GetApiKeyAuditResponse>;
+
+    /**
+     * Messages "sent" so far
+     *
+     * `GET /v1/sandbox/outbox`
+     *
+     * Only with TRANSPORT=sandbox.
+     *
+     * Scope: `admin`
+     */
+    listSandboxOutbox(query?: ListSandboxOutboxQuery, options?: RequestOptions): Promise<ListSandboxOutboxResponse>;
+
+    /**
+     * Empty the outbox
+     *
+     * `DELETE /v1/sandbox/outbox`
+     *
+     * Only with TRANSPORT=sandbox.
+     *
+     * Scope: `admin`
+     */
+    clearSandboxOutbox(options?: RequestOptions): Promise<ClearSandboxOutboxResponse>;
+
+    /**
+     * Wait for matching messages
+     *
+     * `POST /v1/sandbox/outbox/assert`
+     *
+     * Only with TRANSPORT=sandbox. 422 with whatever did match when the assertion does not hold.
+     *
+     * Scope: `admin`
+     */
+    assertSandboxOutbox(body?: AssertSandboxOutboxBody, options?: RequestOptions): Promise<AssertSandboxOutboxResponse>;
+
+    /**
+     * How WhatsApp treats a number
+     *
+     * `PUT /v1/sandbox/numbers/{number}`
+     *
+     * Only with TRANSPORT=sandbox.
+     *
+     * Scope: `admin`
+     */
+    setSandboxNumber(number: string, body: SetSandboxNumberBody, options?: RequestOptions): Promise<SetSandboxNumberResponse>;
+
+    /**
+     * Connect, drop, log out or replace the simulated socket
+     *
+     * `POST /v1/sandbox/connection`
+     *
+     * Only with TRANSPORT=sandbox.
+     *
+     * Scope: `admin`
+     */
+    scriptSandboxConnection(body: ScriptSandboxConnectionBody, options?: RequestOptions): Promise<ScriptSandboxConnectionResponse>;
+
+    /**
+     * Deliver a text message "from" a number
+     *
+     * `POST /v1/sandbox/inbound`
+     *
+     * Only with TRANSPORT=sandbox.
+     *
+     * Scope: `admin`
+     */
+    sendSandboxInbound(body: SendSandboxInboundBody, options?: RequestOptions): Promise<SendSandboxInboundResponse>;
+
+    /**
+     * Delivery/read receipt for a sent message
+     *
+     * `POST /v1/sandbox/receipts`
+     *
+     * Only with TRANSPORT=sandbox.
+     *
+     * Scope: `admin`
+     */
+    sendSandboxReceipt(body: SendSandboxReceiptBody, options?: RequestOptions): Promise<SendSandboxReceiptResponse>;
+}
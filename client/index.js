@@ -0,0 +1,549 @@
+// Generated by scripts/generate-client.js from openapi.json - do not edit.
+// Types: index.d.ts. Every method resolves to the parsed JSON body (Blob or
+// text for non-JSON responses) and throws WhatsAppApiError on non-2xx.
+
+export class WhatsAppApiError extends Error {
+    constructor(message, { status, reason = null, errors = [], retryAfter = null, requestId = null, body = null }) {
+        super(message);
+        this.name = 'WhatsAppApiError';
+        this.status = status;
+        this.reason = reason;
+        this.errors = errors;
+        this.retryAfter = retryAfter;
+        this.requestId = requestId;
+        this.body = body;
+    }
+}
+
+function buildQuery(query = {}) {
+    const params = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) params.append(key, String(value));
+    }
+
+    const text = params.toString();
+    return text ? `?${text}` : '';
+}
+
+async function readBody(response) {
+    const type = response.headers.get('content-type') || '';
+
+    if (type.includes('application/json')) return response.json();
+    if (type.startsWith('text/') || type.includes('svg')) return response.text();
+    return response.blob();
+}
+
+export class WhatsAppClient {
+    constructor({ baseUrl, apiKey, fetch: fetchImpl = globalThis.fetch, timeoutMs = 30000 }) {
+        if (!baseUrl) throw new Error('baseUrl is required');
+        if (!fetchImpl) throw new Error('No fetch available: pass one in the options');
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.fetch = fetchImpl;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async request(method, path, { body, query, idempotencyKey, requestId, signal, headers = {} } = {}) {
+        const response = await this.fetch(`${this.baseUrl}${path}${buildQuery(query)}`, {
+            method,
+            headers: {
+                ...(this.apiKey && { 'X-API-Key': this.apiKey }),
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+                ...(requestId && { 'X-Request-Id': requestId }),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: signal || (this.timeoutMs ? AbortSignal.timeout(this.timeoutMs) : undefined)
+        });
+
+        const data = await readBody(response);
+
+        if (!response.ok) {
+            throw new WhatsAppApiError(data?.error || `HTTP ${response.status}`, {
+                status: response.status,
+                reason: data?.reason,
+                errors: data?.errors,
+                retryAfter: Number(response.headers.get('Retry-After')) || null,
+                requestId: response.headers.get('X-Request-Id'),
+                body: data
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * Connection summary of every session
+     * `GET /health`
+     */
+    getHealth(options) {
+        return this.request('GET', '/health', { ...options });
+    }
+
+    /**
+     * Process is up
+     * `GET /health/live`
+     */
+    getLiveness(options) {
+        return this.request('GET', '/health/live', { ...options });
+    }
+
+    /**
+     * Auth store reachable and default session connected
+     * `GET /health/ready`
+     */
+    getReadiness(options) {
+        return this.request('GET', '/health/ready', { ...options });
+    }
+
+    /**
+     * Prometheus metrics
+     * `GET /metrics`
+     */
+    getMetrics(options) {
+        return this.request('GET', '/metrics', { ...options });
+    }
+
+    /**
+     * This document
+     * `GET /v1/openapi.json`
+     */
+    getOpenApiSpec(options) {
+        return this.request('GET', '/v1/openapi.json', { ...options });
+    }
+
+    /**
+     * Interactive API reference
+     * `GET /v1/docs`
+     */
+    getDocs(options) {
+        return this.request('GET', '/v1/docs', { ...options });
+    }
+
+    /**
+     * List sessions
+     * `GET /v1/sessions`
+     */
+    listSessions(options) {
+        return this.request('GET', '/v1/sessions', { ...options });
+    }
+
+    /**
+     * Register a new WhatsApp number
+     * `POST /v1/sessions`
+     */
+    createSession(body, options) {
+        return this.request('POST', '/v1/sessions', { body, ...options });
+    }
+
+    /**
+     * Unlink a number and forget its credentials
+     * `DELETE /v1/sessions/{id}`
+     */
+    removeSession(id, options) {
+        return this.request('DELETE', `/v1/sessions/${encodeURIComponent(id)}`, { ...options });
+    }
+
+    /**
+     * Current pairing QR code
+     * `GET /v1/session/qr`
+     */
+    getSessionQr(query, options) {
+        return this.request('GET', '/v1/session/qr', { query, ...options });
+    }
+
+    /**
+     * Pair with a code instead of the QR
+     * `POST /v1/session/pair`
+     */
+    requestPairingCode(body, options) {
+        return this.request('POST', '/v1/session/pair', { body, ...options });
+    }
+
+    /**
+     * Send a code you generated
+     * `POST /v1/send-otp`
+     */
+    sendOtp(body, options) {
+        return this.request('POST', '/v1/send-otp', { body, ...options });
+    }
+
+    /**
+     * Generate a code and send it
+     * `POST /v1/otp/request`
+     */
+    requestOtp(body, options) {
+        return this.request('POST', '/v1/otp/request', { body, ...options });
+    }
+
+    /**
+     * Check a code typed by the user
+     * `POST /v1/otp/verify`
+     */
+    verifyOtp(body, options) {
+        return this.request('POST', '/v1/otp/verify', { body, ...options });
+    }
+
+    /**
+     * Send a D-1/D0/D+1 billing reminder
+     * `POST /v1/notify-billing`
+     */
+    notifyBilling(body, options) {
+        return this.request('POST', '/v1/notify-billing', { body, ...options });
+    }
+
+    /**
+     * Run today's reminders now
+     * `POST /v1/billing/run`
+     */
+    runBilling(query, options) {
+        return this.request('POST', '/v1/billing/run', { query, ...options });
+    }
+
+    /**
+     * Pix copy-and-paste code and QR, without sending
+     * `POST /v1/pix/preview`
+     */
+    previewPix(body, options) {
+        return this.request('POST', '/v1/pix/preview', { body, ...options });
+    }
+
+    /**
+     * Every template version
+     * `GET /v1/templates`
+     */
+    listTemplates(options) {
+        return this.request('GET', '/v1/templates', { ...options });
+    }
+
+    /**
+     * Versions of one template
+     * `GET /v1/templates/{name}`
+     */
+    getTemplate(name, options) {
+        return this.request('GET', `/v1/templates/${encodeURIComponent(name)}`, { ...options });
+    }
+
+    /**
+     * Publish a new version
+     * `POST /v1/templates/{name}`
+     */
+    saveTemplate(name, body, options) {
+        return this.request('POST', `/v1/templates/${encodeURIComponent(name)}`, { body, ...options });
+    }
+
+    /**
+     * Render without sending
+     * `POST /v1/templates/{name}/preview`
+     */
+    previewTemplate(name, body, options) {
+        return this.request('POST', `/v1/templates/${encodeURIComponent(name)}/preview`, { body, ...options });
+    }
+
+    /**
+     * Which numbers are on WhatsApp
+     * `POST /v1/contacts/check`
+     */
+    checkContacts(body, options) {
+        return this.request('POST', '/v1/contacts/check', { body, ...options });
+    }
+
+    /**
+     * Opt-out and timezone of a number
+     * `GET /v1/contacts/{number}/preferences`
+     */
+    getContactPreferences(number, options) {
+        return this.request('GET', `/v1/contacts/${encodeURIComponent(number)}/preferences`, { ...options });
+    }
+
+    /**
+     * Set the timezone used for quiet hours
+     * `PUT /v1/contacts/{number}/preferences`
+     */
+    setContactPreferences(number, body, options) {
+        return this.request('PUT', `/v1/contacts/${encodeURIComponent(number)}/preferences`, { body, ...options });
+    }
+
+    /**
+     * Messages sent to a number, newest first
+     * `GET /v1/messages`
+     */
+    listMessages(query, options) {
+        return this.request('GET', '/v1/messages', { query, ...options });
+    }
+
+    /**
+     * Send any content type
+     * `POST /v1/messages`
+     */
+    sendMessage(body, options) {
+        return this.request('POST', '/v1/messages', { body, ...options });
+    }
+
+    /**
+     * Status, channel and delivery history of a message
+     * `GET /v1/messages/{id}`
+     */
+    getMessage(id, options) {
+        return this.request('GET', `/v1/messages/${encodeURIComponent(id)}`, { ...options });
+    }
+
+    /**
+     * Pending scheduled messages, soonest first
+     * `GET /v1/scheduled`
+     */
+    listScheduled(query, options) {
+        return this.request('GET', '/v1/scheduled', { query, ...options });
+    }
+
+    /**
+     * Cancel everything still queued under a tag
+     * `DELETE /v1/scheduled`
+     */
+    cancelScheduledByTag(query, options) {
+        return this.request('DELETE', '/v1/scheduled', { query, ...options });
+    }
+
+    /**
+     * Move to another time or change tag/missedPolicy
+     * `PATCH /v1/scheduled/{id}`
+     */
+    rescheduleMessage(id, body, options) {
+        return this.request('PATCH', `/v1/scheduled/${encodeURIComponent(id)}`, { body, ...options });
+    }
+
+    /**
+     * Cancel a message still in the queue
+     * `DELETE /v1/scheduled/{id}`
+     */
+    cancelScheduledMessage(id, options) {
+        return this.request('DELETE', `/v1/scheduled/${encodeURIComponent(id)}`, { ...options });
+    }
+
+    /**
+     * Current link
+     * `GET /v1/groups/{groupId}/whatsapp`
+     */
+    getWhatsAppGroup(groupId, options) {
+        return this.request('GET', `/v1/groups/${encodeURIComponent(groupId)}/whatsapp`, { ...options });
+    }
+
+    /**
+     * Create (or return) the WhatsApp group of a RachaAI group
+     * `POST /v1/groups/{groupId}/whatsapp`
+     */
+    createWhatsAppGroup(groupId, body, options) {
+        return this.request('POST', `/v1/groups/${encodeURIComponent(groupId)}/whatsapp`, { body, ...options });
+    }
+
+    /**
+     * Turn automatic posts on or off
+     * `PATCH /v1/groups/{groupId}/whatsapp`
+     */
+    updateWhatsAppGroup(groupId, body, options) {
+        return this.request('PATCH', `/v1/groups/${encodeURIComponent(groupId)}/whatsapp`, { body, ...options });
+    }
+
+    /**
+     * Forget the link
+     * `DELETE /v1/groups/{groupId}/whatsapp`
+     */
+    unlinkWhatsAppGroup(groupId, query, options) {
+        return this.request('DELETE', `/v1/groups/${encodeURIComponent(groupId)}/whatsapp`, { query, ...options });
+    }
+
+    /**
+     * Bring members, name and description up to date
+     * `POST /v1/groups/{groupId}/whatsapp/sync`
+     */
+    syncWhatsAppGroup(groupId, options) {
+        return this.request('POST', `/v1/groups/${encodeURIComponent(groupId)}/whatsapp/sync`, { ...options });
+    }
+
+    /**
+     * Post a reminder or digest now
+     * `POST /v1/groups/{groupId}/whatsapp/post`
+     */
+    postToWhatsAppGroup(groupId, body, options) {
+        return this.request('POST', `/v1/groups/${encodeURIComponent(groupId)}/whatsapp/post`, { body, ...options });
+    }
+
+    /**
+     * Opted-out numbers, newest first
+     * `GET /v1/suppressions`
+     */
+    listSuppressions(query, options) {
+        return this.request('GET', '/v1/suppressions', { query, ...options });
+    }
+
+    /**
+     * Opt a number out
+     * `POST /v1/suppressions`
+     */
+    addSuppression(body, options) {
+        return this.request('POST', '/v1/suppressions', { body, ...options });
+    }
+
+    /**
+     * Opt a number back in
+     * `DELETE /v1/suppressions/{number}`
+     */
+    removeSuppression(number, options) {
+        return this.request('DELETE', `/v1/suppressions/${encodeURIComponent(number)}`, { ...options });
+    }
+
+    /**
+     * List subscriptions
+     * `GET /v1/webhooks`
+     */
+    listWebhooks(options) {
+        return this.request('GET', '/v1/webhooks', { ...options });
+    }
+
+    /**
+     * Subscribe to events
+     * `POST /v1/webhooks`
+     */
+    createWebhook(body, options) {
+        return this.request('POST', '/v1/webhooks', { body, ...options });
+    }
+
+    /**
+     * Change url, events or pause it
+     * `PATCH /v1/webhooks/{id}`
+     */
+    updateWebhook(id, body, options) {
+        return this.request('PATCH', `/v1/webhooks/${encodeURIComponent(id)}`, { body, ...options });
+    }
+
+    /**
+     * Remove a subscription
+     * `DELETE /v1/webhooks/{id}`
+     */
+    deleteWebhook(id, options) {
+        return this.request('DELETE', `/v1/webhooks/${encodeURIComponent(id)}`, { ...options });
+    }
+
+    /**
+     * Deliveries, newest first
+     * `GET /v1/webhooks/deliveries`
+     */
+    listWebhookDeliveries(query, options) {
+        return this.request('GET', '/v1/webhooks/deliveries', { query, ...options });
+    }
+
+    /**
+     * One delivery with its payload
+     * `GET /v1/webhooks/deliveries/{id}`
+     */
+    getWebhookDelivery(id, options) {
+        return this.request('GET', `/v1/webhooks/deliveries/${encodeURIComponent(id)}`, { ...options });
+    }
+
+    /**
+     * Send a delivery again
+     * `POST /v1/webhooks/deliveries/{id}/replay`
+     */
+    replayWebhookDelivery(id, options) {
+        return this.request('POST', `/v1/webhooks/deliveries/${encodeURIComponent(id)}/replay`, { ...options });
+    }
+
+    /**
+     * List keys (never the key itself)
+     * `GET /v1/api-keys`
+     */
+    listApiKeys(options) {
+        return this.request('GET', '/v1/api-keys', { ...options });
+    }
+
+    /**
+     * Issue a scoped key
+     * `POST /v1/api-keys`
+     */
+    createApiKey(body, options) {
+        return this.request('POST', '/v1/api-keys', { body, ...options });
+    }
+
+    /**
+     * Issue a replacement; the old key works for overlapSeconds
+     * `POST /v1/api-keys/{id}/rotate`
+     */
+    rotateApiKey(id, body, options) {
+        return this.request('POST', `/v1/api-keys/${encodeURIComponent(id)}/rotate`, { body, ...options });
+    }
+
+    /**
+     * Revoke a key
+     * `DELETE /v1/api-keys/{id}`
+     */
+    revokeApiKey(id, options) {
+        return this.request('DELETE', `/v1/api-keys/${encodeURIComponent(id)}`, { ...options });
+    }
+
+    /**
+     * Which key did what ('default' is X_API_KEY)
+     * `GET /v1/api-keys/{id}/audit`
+     */
+    getApiKeyAudit(id, query, options) {
+        return this.request('GET', `/v1/api-keys/${encodeURIComponent(id)}/audit`, { query, ...options });
+    }
+
+    /**
+     * Messages "sent" so far
+     * `GET /v1/sandbox/outbox`
+     */
+    listSandboxOutbox(query, options) {
+        return this.request('GET', '/v1/sandbox/outbox', { query, ...options });
+    }
+
+    /**
+     * Empty the outbox
+     * `DELETE /v1/sandbox/outbox`
+     */
+    clearSandboxOutbox(options) {
+        return this.request('DELETE', '/v1/sandbox/outbox', { ...options });
+    }
+
+    /**
+     * Wait for matching messages
+     * `POST /v1/sandbox/outbox/assert`
+     */
+    assertSandboxOutbox(body, options) {
+        return this.request('POST', '/v1/sandbox/outbox/assert', { body, ...options });
+    }
+
+    /**
+     * How WhatsApp treats a number
+     * `PUT /v1/sandbox/numbers/{number}`
+     */
+    setSandboxNumber(number, body, options) {
+        return this.request('PUT', `/v1/sandbox/numbers/${encodeURIComponent(number)}`, { body, ...options });
+    }
+
+    /**
+     * Connect, drop, log out or replace the simulated socket
+     * `POST /v1/sandbox/connection`
+     */
+    scriptSandboxConnection(body, options) {
+        return this.request('POST', '/v1/sandbox/connection', { body, ...options });
+    }
+
+    /**
+     * Deliver a text message "from" a number
+     * `POST /v1/sandbox/inbound`
+     */
+    sendSandboxInbound(body, options) {
+        return this.request('POST', '/v1/sandbox/inbound', { body, ...options });
+    }
+
+    /**
+     * Delivery/read receipt for a sent message
+     * `POST /v1/sandbox/receipts`
+     */
+    sendSandboxReceipt(body, options) {
+        return this.request('POST', '/v1/sandbox/receipts', { body, ...options });
+    }
+}
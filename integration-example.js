@@ -3,38 +3,83 @@
 // How to call the WhatsApp Microservice from RachaAI
 // ============================================
 
-// Configuration
-const WHATSAPP_SERVICE_URL = process.env.VITE_WHATSAPP_SERVICE_URL || 'http://localhost:3000';
-const WHATSAPP_API_KEY = process.env.VITE_WHATSAPP_API_KEY || 'your-api-key';
+// The client is generated from openapi.json (npm run generate:client), so its
+// methods and types always match the server. In RachaAI, install it with
+// `npm install <path-to-this-repo>/client` and import '@rachaai/whatsapp-client'.
+import { WhatsAppClient, WhatsAppApiError } from './client/index.js';
+
+// Configuration - server-side only (API routes, edge functions, cron jobs).
+// Never expose the API key through a VITE_ variable: it ends up in the browser bundle.
+const WHATSAPP_SERVICE_URL = process.env.WHATSAPP_SERVICE_URL || 'http://localhost:3000';
+const WHATSAPP_API_KEY = process.env.WHATSAPP_API_KEY;
+
+const whatsapp = new WhatsAppClient({
+    baseUrl: WHATSAPP_SERVICE_URL,
+    apiKey: WHATSAPP_API_KEY
+});
 
 // ============================================
-// EXAMPLE 1: Send OTP during signup
+// EXAMPLE 1: Send and verify OTP during signup
 // ============================================
 
 /**
- * Call this when user signs up with phone number
+ * Call this when user signs up with phone number.
+ * The microservice generates the code, stores only its hash and enforces
+ * expiry, attempt limits and resend cooldowns - no storeOTP() needed.
+ * Pass the end user's IP (e.g. req.ip in your backend) so the per-IP limit
+ * applies to them rather than to your server.
  * Location: src/pages/PhoneAuthPage.tsx or src/lib/evolutionApi.ts
  */
-export async function sendOTPViaWhatsApp(phoneNumber, otpCode) {
+export async function requestOTPViaWhatsApp(phoneNumber, clientIp) {
     try {
-        const response = await fetch(`${WHATSAPP_SERVICE_URL}/v1/send-otp`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': WHATSAPP_API_KEY
-            },
-            body: JSON.stringify({
-                number: phoneNumber, // Format: "11999999999"
-                code: otpCode         // Format: "123456"
-            })
+        const data = await whatsapp.requestOtp({
+            number: phoneNumber, // Format: "11999999999"
+            clientIp
         });
 
-        const data = await response.json();
+        console.log('✅ OTP requested successfully:', data);
+        return data;
+
+    } catch (error) {
+        // WhatsAppApiError: error.reason is resend_cooldown, number_rate_limited,
+        // ip_rate_limited...; error.retryAfter is in seconds
+        console.error('❌ Error requesting OTP:', error);
+        throw error;
+    }
+}
 
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to send OTP');
+/**
+ * Call this when the user types the code they received.
+ * Resolves to true when the code is valid; each code works only once.
+ */
+export async function verifyOTPViaWhatsApp(phoneNumber, code) {
+    try {
+        await whatsapp.verifyOtp({ number: phoneNumber, code });
+        return true;
+
+    } catch (error) {
+        // invalid_code: let the user try again; expired / too_many_attempts: request a new code.
+        // A code that isn't 4-10 digits never reaches the check: invalid_request.
+        if (error instanceof WhatsAppApiError && ['invalid_code', 'expired', 'too_many_attempts', 'invalid_request'].includes(error.reason)) {
+            console.warn(`⚠️ OTP rejected: ${error.reason}`);
+            return false;
         }
 
+        throw error;
+    }
+}
+
+/**
+ * Legacy: send a code you generated yourself.
+ * Prefer requestOTPViaWhatsApp() + verifyOTPViaWhatsApp().
+ */
+export async function sendOTPViaWhatsApp(phoneNumber, otpCode) {
+    try {
+        const data = await whatsapp.sendOtp({
+            number: phoneNumber, // Format: "11999999999"
+            code: otpCode        // Format: "123456" (4-10 digits, as a string)
+        });
+
         console.log('✅ OTP sent successfully:', data);
         return data;
 
@@ -47,26 +92,33 @@ export async function sendOTPViaWhatsApp(phoneNumber, otpCode) {
 // Usage example in PhoneAuthPage.tsx:
 /*
 const handleSendOTP = async () => {
-  const code = generateOTP(); // Your existing function
-  
   try {
-    // Send via WhatsApp instead of Evolution API
-    await sendOTPViaWhatsApp(phoneNumber, code);
-    
-    // Store OTP for validation
-    storeOTP(phoneNumber, code);
-    
+    await requestOTPViaWhatsApp(phoneNumber);
+
     toast({
       title: "Código enviado!",
       description: "Verifique seu WhatsApp"
     });
   } catch (error) {
     toast({
-      title: "Erro ao enviar código",
+      title: error.reason === 'resend_cooldown'
+        ? `Aguarde ${error.retryAfter}s para pedir outro código`
+        : "Erro ao enviar código",
       variant: "destructive"
     });
   }
 };
+
+const handleVerifyOTP = async () => {
+  const valid = await verifyOTPViaWhatsApp(phoneNumber, typedCode);
+
+  if (!valid) {
+    toast({ title: "Código inválido ou expirado", variant: "destructive" });
+    return;
+  }
+
+  // Phone verified - continue signup
+};
 */
 
 // ============================================
@@ -79,27 +131,17 @@ const handleSendOTP = async () => {
  */
 export async function sendBillingNotification(phoneNumber, notificationType, groupData) {
     try {
-        const response = await fetch(`${WHATSAPP_SERVICE_URL}/v1/notify-billing`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': WHATSAPP_API_KEY
-            },
-            body: JSON.stringify({
-                number: phoneNumber,
-                type: notificationType,  // "D-1", "D0", or "D+1"
-                service: groupData.name,
-                value: groupData.amountPerPerson.toFixed(2),
-                pixKey: groupData.leaderPixKey
-            })
+        const data = await whatsapp.notifyBilling({
+            number: phoneNumber,
+            type: notificationType,  // "D-1", "D0", or "D+1"
+            service: groupData.name,
+            value: groupData.amountPerPerson.toFixed(2), // "14.90" - no "R$"
+            pixKey: groupData.leaderPixKey
+        }, {
+            // Same key on retries, so a timeout doesn't send the reminder twice
+            idempotencyKey: `billing:${phoneNumber}:${notificationType}:${new Date().toISOString().slice(0, 10)}`
         });
 
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to send notification');
-        }
-
         console.log('✅ Billing notification sent:', data);
         return data;
 
@@ -114,90 +156,61 @@ export async function sendBillingNotification(phoneNumber, notificationType, gro
 // ============================================
 
 /**
- * This function should be called daily (via cron job or scheduled function)
- * It checks all groups and sends appropriate notifications
+ * The microservice runs billing reminders by itself at BILLING_RUN_TIMES
+ * (America/Sao_Paulo) and records each one in `billing_notifications`,
+ * so nobody gets the same D-1/D0/D+1 twice in a cycle.
+ *
+ * Call this only to trigger a run on demand, or with dryRun = true to see
+ * exactly who would be messaged today.
  */
-export async function processAutomatedBillingReminders() {
+export async function runBillingReminders(dryRun = false) {
     try {
-        // Fetch all groups with upcoming due dates
-        const { data: groups, error } = await supabase
-            .from('groups')
-            .select(`
-        *,
-        group_members(
-          *,
-          profiles(phone, pix_key)
-        )
-      `)
-            .not('next_due_date', 'is', null);
-
-        if (error) throw error;
-
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        for (const group of groups) {
-            const dueDate = new Date(group.next_due_date);
-            dueDate.setHours(0, 0, 0, 0);
-
-            const diffDays = Math.floor((dueDate - today) / (1000 * 60 * 60 * 24));
-
-            // Get leader's PIX key
-            const leader = group.group_members.find(m => m.is_leader);
-            const leaderPixKey = leader?.profiles?.pix_key || 'Não informado';
-
-            // Send notifications based on days until due
-            for (const member of group.group_members) {
-                // Skip if already paid
-                if (member.status === 'paid') continue;
-
-                // Skip if no phone number
-                if (!member.profiles?.phone) continue;
-
-                let notificationType = null;
-
-                if (diffDays === 1) {
-                    notificationType = 'D-1'; // Tomorrow
-                } else if (diffDays === 0) {
-                    notificationType = 'D0';  // Today
-                } else if (diffDays === -1) {
-                    notificationType = 'D+1'; // Yesterday (overdue)
-                }
-
-                if (notificationType) {
-                    await sendBillingNotification(
-                        member.profiles.phone,
-                        notificationType,
-                        {
-                            name: group.name,
-                            amountPerPerson: group.amount_per_person,
-                            leaderPixKey: leaderPixKey
-                        }
-                    );
-
-                    // Add small delay between messages
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
-            }
-        }
+        const data = await whatsapp.runBilling({ dryRun });
 
-        console.log('✅ Automated billing reminders processed');
+        console.log(`✅ Billing run for ${data.date}: ${data.count} notifications`, data.notifications);
+        return data;
 
     } catch (error) {
-        console.error('❌ Error processing billing reminders:', error);
+        console.error('❌ Error running billing reminders:', error);
         throw error;
     }
 }
 
+// ============================================
+// EXAMPLE 3.1: Send an invoice PDF
+// ============================================
+
+/**
+ * POST /v1/messages sends any content type (text with mentions, image,
+ * video, audio, document, location, contacts, list/buttons, quoted replies).
+ * Needs a key with the "messages:send" scope.
+ */
+export async function sendInvoicePdf(phoneNumber, pdfUrl, groupName) {
+    return whatsapp.sendMessage({
+        number: phoneNumber,
+        type: 'document',
+        media: {
+            url: pdfUrl, // or base64: '...' for a file generated on the fly
+            mimetype: 'application/pdf',
+            fileName: `Fatura ${groupName}.pdf`
+        },
+        caption: `🧾 Fatura de *${groupName}*`
+    }); // { messageId, status: "queued", ... }
+}
+
 // ============================================
 // EXAMPLE 4: Setup in RachaAI
 // ============================================
 
 /**
- * Add these environment variables to your RachaAI .env file:
- * 
- * VITE_WHATSAPP_SERVICE_URL=https://your-microservice.onrender.com
- * VITE_WHATSAPP_API_KEY=your-secret-api-key
+ * Add these environment variables to your RachaAI *server* environment
+ * (Vercel/Netlify project settings, Supabase Edge Function secrets):
+ *
+ * WHATSAPP_SERVICE_URL=https://your-microservice.onrender.com
+ * WHATSAPP_API_KEY=rak_...   (issued via POST /v1/api-keys)
+ *
+ * Use a key scoped to what the caller needs: the signup flow only needs
+ * "otp:send", the billing cron only "billing:send", invoices "messages:send".
  */
 
 // ============================================
@@ -205,6 +218,9 @@ export async function processAutomatedBillingReminders() {
 // ============================================
 
 /**
+ * Not needed anymore: the microservice schedules reminders itself.
+ * Only keep an external cron if you disabled BILLING_SCHEDULER_ENABLED.
+ *
  * If deploying to Vercel/Netlify, create an API route:
  * 
  * File: api/cron/billing-reminders.js
@@ -217,7 +233,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    await processAutomatedBillingReminders();
+    await runBillingReminders();
     res.status(200).json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -238,15 +254,16 @@ export default async function handler(req, res) {
 // ============================================
 
 /**
- * Quick test function - call this to verify everything works
+ * Quick test function - call this to verify everything works.
+ * Point it at a service started with TRANSPORT=sandbox (and WHATSAPP_SANDBOX=true
+ * here) so nothing reaches a real phone; the sends are then checked in the outbox.
  */
 export async function testWhatsAppIntegration() {
     console.log('🧪 Testing WhatsApp integration...');
 
     // Test 1: Health check
     try {
-        const healthResponse = await fetch(`${WHATSAPP_SERVICE_URL}/health`);
-        const healthData = await healthResponse.json();
+        const healthData = await whatsapp.getHealth();
         console.log('✅ Health check:', healthData);
     } catch (error) {
         console.error('❌ Health check failed:', error);
@@ -273,6 +290,16 @@ export async function testWhatsAppIntegration() {
         console.error('❌ Billing notification test failed:', error);
     }
 
+    // Test 4 (sandbox only): both messages actually left the queue
+    if (process.env.WHATSAPP_SANDBOX === 'true') {
+        try {
+            await whatsapp.assertSandboxOutbox({ to: '11999999999', count: 2, timeoutMs: 10000 });
+            console.log('✅ Outbox check passed');
+        } catch (error) {
+            console.error(`❌ Outbox check failed: ${error.message}`);
+        }
+    }
+
     console.log('🎉 Integration tests complete!');
 }
 
@@ -284,10 +311,11 @@ export async function testWhatsAppIntegration() {
  * IMPORTANT REMINDERS:
  * 
  * 1. The microservice must be running and connected to WhatsApp
- * 2. Phone numbers should be in format: "11999999999" (no spaces, dashes, or +55)
- * 3. The microservice will format numbers automatically
- * 4. Always handle errors gracefully
+ * 2. Phone numbers can be national ("11999999999") or international ("+14155552671")
+ * 3. The microservice normalizes numbers and resolves the real WhatsApp JID
+ * 4. Always handle errors gracefully: failures throw WhatsAppApiError with
+ *    `reason`, and `errors` ([{ field, reason, message }]) for invalid_request
  * 5. Add delays between bulk messages to avoid spam detection
  * 6. Test with your own number first!
- * 7. Keep the API key secret - never commit it to Git
+ * 7. Keep the API key secret - never commit it to Git or ship it to the browser
  */
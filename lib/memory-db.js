@@ -0,0 +1,829 @@
+// ============================================
+// IN-MEMORY DATABASE
+// The part of the supabase-js client index.js uses, over plain arrays, so
+// TRANSPORT=sandbox runs without a Supabase project. Tables, defaults, keys,
+// unique indexes, foreign keys, updated_at triggers and seed rows are read
+// from supabase-schema.sql; CHECK constraints and RLS are not enforced.
+// ============================================
+
+import crypto from 'crypto';
+
+// ============================================
+// SCHEMA
+// ============================================
+
+// Statements of a SQL file, without comments; quoted text and $$ bodies stay whole
+function splitStatements(sql) {
+    const statements = [];
+    let current = '';
+
+    for (let index = 0; index < sql.length; index++) {
+        const char = sql[index];
+
+        if (char === '-' && sql[index + 1] === '-') {
+            const end = sql.indexOf('\n', index);
+            index = end === -1 ? sql.length : end;
+            current += '\n';
+        } else if (char === '$' && sql[index + 1] === '$') {
+            const end = sql.indexOf('$$', index + 2) + 2;
+            current += sql.slice(index, end);
+            index = end - 1;
+        } else if (char === "'") {
+            const end = findQuoteEnd(sql, index);
+            current += sql.slice(index, end + 1);
+            index = end;
+        } else if (char === ';') {
+            if (current.trim()) statements.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (current.trim()) statements.push(current.trim());
+    return statements;
+}
+
+// Index of the quote closing the one at `start`; E'...' strings also escape with a backslash
+function findQuoteEnd(text, start) {
+    const escapes = /[Ee]/.test(text[start - 1] || '') && !/\w/.test(text[start - 2] || '');
+
+    for (let index = start + 1; index < text.length; index++) {
+        if (escapes && text[index] === '\\') {
+            index++;
+        } else if (text[index] === "'") {
+            if (text[index + 1] !== "'") return index;
+            index++;
+        }
+    }
+
+    throw new Error(`Unterminated string in schema: ${text.slice(start, start + 40)}`);
+}
+
+// Split on `separator` outside parentheses, brackets and quotes
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (char === "'") {
+            index = findQuoteEnd(text, index);
+        } else if (char === '"') {
+            index = text.indexOf('"', index + 1);
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            parts.push(text.slice(start, index).trim());
+            start = index + 1;
+        }
+    }
+
+    parts.push(text.slice(start).trim());
+    return parts.filter(Boolean);
+}
+
+function parseStringLiteral(literal) {
+    const escaped = /^[Ee]'/.test(literal);
+    const body = literal.slice(escaped ? 2 : 1, -1).replace(/''/g, "'");
+
+    if (!escaped) return body;
+
+    return body.replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t', r: '\r' })[char] ?? char);
+}
+
+// Literals as they appear in DEFAULT clauses and seed INSERTs
+function parseLiteral(expression, column) {
+    const text = expression.trim();
+
+    if (/^null$/i.test(text)) return null;
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+    const array = /^ARRAY\[([\s\S]*?)\](::[\w\s[\]]+)?$/i.exec(text);
+    if (array) return splitTopLevel(array[1]).map(item => parseLiteral(item));
+
+    const string = /^([Ee]?'[\s\S]*')(::[\w\s[\]]+)?$/.exec(text);
+    if (string) {
+        const value = parseStringLiteral(string[1]);
+        // '{}' is an empty array literal
+        if (column?.array && /^\{.*\}$/.test(value)) {
+            return value.slice(1, -1) ? value.slice(1, -1).split(',') : [];
+        }
+        return value;
+    }
+
+    throw new Error(`Unsupported literal in schema: ${text}`);
+}
+
+const COLUMN_TYPES = [
+    ['timestamp', /^TIMESTAMP(\s+WITH(OUT)?\s+TIME\s+ZONE)?/i],
+    ['date', /^DATE\b/i],
+    ['integer', /^(INTEGER|INT|BIGINT|SMALLINT|NUMERIC|DECIMAL)\b/i],
+    ['boolean', /^BOOLEAN\b/i],
+    ['json', /^JSONB?\b/i],
+    ['text', /^(TEXT|UUID|VARCHAR)\b/i]
+];
+
+// `name TYPE [DEFAULT x] [PRIMARY KEY] [UNIQUE] [REFERENCES t(c) ON DELETE ...]`
+function parseColumn(definition) {
+    const [, name, rest] = /^(\w+)\s+([\s\S]+)$/.exec(definition);
+    const [type, pattern] = COLUMN_TYPES.find(([, pattern]) => pattern.test(rest)) || ['text', /^\w+/];
+    const afterType = rest.replace(pattern, '');
+
+    const column = { name, type, array: /^\s*\[\]/.test(afterType), default: null };
+
+    const defaultMatch = /\bDEFAULT\s+([\s\S]+?)(?=\s+(?:NOT\s+NULL|NULL|PRIMARY\s+KEY|UNIQUE|REFERENCES|CHECK)\b|$)/i.exec(afterType);
+    if (defaultMatch) {
+        const expression = defaultMatch[1].trim();
+
+        if (/^gen_random_uuid\(\)$/i.test(expression)) {
+            column.default = () => crypto.randomUUID();
+        } else if (/\bnow\(\)/i.test(expression)) {
+            column.default = () => new Date().toISOString();
+        } else {
+            const value = parseLiteral(expression, column);
+            column.default = () => structuredClone(value);
+        }
+    }
+
+    const reference = /\bREFERENCES\s+(?:public\.)?(\w+)\s*\((\w+)\)(?:\s+ON\s+DELETE\s+(CASCADE|SET\s+NULL))?/i.exec(afterType);
+
+    return {
+        column,
+        primaryKey: /\bPRIMARY\s+KEY\b/i.test(afterType),
+        unique: /\bUNIQUE\b/i.test(afterType),
+        reference: reference && {
+            refTable: reference[1],
+            refColumn: reference[2],
+            onDelete: reference[3]?.toUpperCase().replace(/\s+/, ' ') || null
+        }
+    };
+}
+
+// WHERE of a partial unique index: `col = 'value'`, `col IS [NOT] NULL`, joined by AND
+function parseIndexPredicate(where) {
+    if (!where) return null;
+
+    const conditions = where.split(/\s+AND\s+/i).map(condition => {
+        const isNull = /^(\w+)\s+IS\s+(NOT\s+)?NULL$/i.exec(condition.trim());
+        if (isNull) {
+            return row => (row[isNull[1]] === null || row[isNull[1]] === undefined) === !isNull[2];
+        }
+
+        const equals = /^(\w+)\s*=\s*(.+)$/.exec(condition.trim());
+        if (equals) {
+            const value = parseLiteral(equals[2]);
+            return row => row[equals[1]] === value;
+        }
+
+        throw new Error(`Unsupported index predicate in schema: ${condition}`);
+    });
+
+    return row => conditions.every(condition => condition(row));
+}
+
+function createTable(name) {
+    return { name, columns: new Map(), primaryKey: [], uniques: [], touchesUpdatedAt: false, rows: [] };
+}
+
+function parseSchema(sql) {
+    const tables = new Map();
+    const foreignKeys = [];
+    const seeds = [];
+
+    const getTable = name => {
+        if (!tables.has(name)) tables.set(name, createTable(name));
+        return tables.get(name);
+    };
+
+    const addColumn = (table, definition) => {
+        const { column, primaryKey, unique, reference } = parseColumn(definition);
+
+        table.columns.set(column.name, column);
+        if (primaryKey) table.primaryKey = [column.name];
+        if (unique) table.uniques.push({ columns: [column.name], where: null });
+        if (reference) foreignKeys.push({ table: table.name, column: column.name, ...reference });
+    };
+
+    for (const statement of splitStatements(sql)) {
+        const create = /^CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:public\.)?(\w+)\s*\(([\s\S]*)\)$/i.exec(statement);
+        if (create) {
+            const table = getTable(create[1]);
+
+            for (const definition of splitTopLevel(create[2])) {
+                const constraint = /^(PRIMARY\s+KEY|UNIQUE)\s*\(([^)]*)\)$/i.exec(definition);
+                if (!constraint) {
+                    addColumn(table, definition);
+                    continue;
+                }
+
+                const columns = constraint[2].split(',').map(column => column.trim());
+                if (/^PRIMARY/i.test(constraint[1])) table.primaryKey = columns;
+                else table.uniques.push({ columns, where: null });
+            }
+            continue;
+        }
+
+        const alter = /^ALTER\s+TABLE\s+(?:public\.)?(\w+)\s+([\s\S]*)$/i.exec(statement);
+        if (alter) {
+            for (const action of splitTopLevel(alter[2])) {
+                const addition = /^ADD\s+COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i.exec(action);
+                if (addition) addColumn(getTable(alter[1]), addition[1]);
+            }
+            continue;
+        }
+
+        const uniqueIndex = /^CREATE\s+UNIQUE\s+INDEX\s+[\s\S]*?\bON\s+(?:public\.)?(\w+)\s*\(([^)]*)\)(?:\s+WHERE\s+([\s\S]+))?$/i.exec(statement);
+        if (uniqueIndex) {
+            getTable(uniqueIndex[1]).uniques.push({
+                columns: uniqueIndex[2].split(',').map(column => column.trim()),
+                where: parseIndexPredicate(uniqueIndex[3])
+            });
+            continue;
+        }
+
+        // Every trigger in the schema is the updated_at one
+        const trigger = /^CREATE\s+TRIGGER\s+\w+\s+BEFORE\s+UPDATE\s+ON\s+(?:public\.)?(\w+)/i.exec(statement);
+        if (trigger) {
+            getTable(trigger[1]).touchesUpdatedAt = true;
+            continue;
+        }
+
+        const insert = /^INSERT\s+INTO\s+public\.(\w+)\s*\(([^)]*)\)\s*VALUES\s*([\s\S]+?)(?:\s+ON\s+CONFLICT\b[\s\S]*)?$/i.exec(statement);
+        if (insert) {
+            const columns = insert[2].split(',').map(column => column.trim());
+
+            for (const tuple of splitTopLevel(insert[3])) {
+                const values = splitTopLevel(tuple.replace(/^\(|\)$/g, ''));
+                seeds.push({
+                    table: insert[1],
+                    row: Object.fromEntries(columns.map((column, index) => [column, parseLiteral(values[index], getTable(insert[1]).columns.get(column))]))
+                });
+            }
+        }
+    }
+
+    return { tables, foreignKeys, seeds };
+}
+
+// ============================================
+// VALUES AND FILTERS
+// ============================================
+
+function postgrestError(code, message) {
+    return { code, message, details: null, hint: null };
+}
+
+// Row values and filter values in a form that compares like Postgres would
+function toComparable(column, value) {
+    if (value === null || value === undefined) return null;
+
+    switch (column?.type) {
+        case 'timestamp':
+        case 'date':
+            return Date.parse(value);
+        case 'integer':
+            return Number(value);
+        case 'boolean':
+            return value === true || value === 'true';
+        default:
+            return typeof value === 'number' ? value : String(value);
+    }
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// SQL semantics: a NULL operand never matches, except with IS
+const OPERATORS = {
+    eq: (a, b) => a !== null && b !== null && a === b,
+    neq: (a, b) => a !== null && b !== null && a !== b,
+    gt: (a, b) => a !== null && b !== null && a > b,
+    gte: (a, b) => a !== null && b !== null && a >= b,
+    lt: (a, b) => a !== null && b !== null && a < b,
+    lte: (a, b) => a !== null && b !== null && a <= b,
+    in: (a, list) => a !== null && list.includes(a),
+    is: (a, b) => a === b
+};
+
+// `(a,b,"c d")` as used by in. and not.in.
+function parseList(text) {
+    return splitTopLevel(String(text).replace(/^\(|\)$/g, '')).map(item => item.replace(/^"|"$/g, ''));
+}
+
+// Predicate for `column <op> value` on a table; `value` is a JS value or, from
+// a PostgREST string (or(), not()), text to be read as the column's type
+function buildCondition(table, column, operator, value, negate = false) {
+    if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+
+    const definition = table.columns.get(column);
+    let expected;
+
+    if (operator === 'in') {
+        expected = (Array.isArray(value) ? value : parseList(value)).map(item => toComparable(definition, item));
+    } else if (operator === 'is') {
+        expected = value === null || value === 'null' ? null : toComparable({ type: 'boolean' }, value);
+    } else {
+        expected = toComparable(definition, typeof value === 'string' ? value.replace(/^"|"$/g, '') : value);
+    }
+
+    return row => {
+        const actual = toComparable(definition, row[column]);
+        const matches = OPERATORS[operator](actual, expected);
+
+        // NOT of a comparison with NULL is still NULL
+        if (!negate) return matches;
+        return operator === 'is' ? !matches : actual !== null && !matches;
+    };
+}
+
+// PostgREST logic trees: `a.eq.1,and(b.is.null,c.not.in.(x,y))`
+function parseLogic(table, expression, combinator = 'or') {
+    const conditions = splitTopLevel(expression).map(part => {
+        const group = /^(not\.)?(and|or)\(([\s\S]*)\)$/.exec(part);
+        if (group) {
+            const inner = parseLogic(table, group[3], group[2]);
+            return group[1] ? row => !inner(row) : inner;
+        }
+
+        const condition = /^(\w+)\.(not\.)?(\w+)\.([\s\S]*)$/.exec(part);
+        if (!condition) throw new Error(`Unsupported filter: ${part}`);
+
+        return buildCondition(table, condition[1], condition[3], condition[4], Boolean(condition[2]));
+    });
+
+    return combinator === 'and'
+        ? row => conditions.every(condition => condition(row))
+        : row => conditions.some(condition => condition(row));
+}
+
+// ============================================
+// SELECT AND EMBEDDING
+// ============================================
+
+// `*, alias:table!hint(columns), column` -> { star, columns, embeds }
+function parseSelect(columns) {
+    const selection = { star: false, columns: [], embeds: [] };
+
+    for (const item of splitTopLevel(String(columns).replace(/\s+/g, ' '))) {
+        if (item === '*') {
+            selection.star = true;
+            continue;
+        }
+
+        const embed = /^(?:(\w+):)?(\w+)(?:!(\w+))?\s*\(([\s\S]*)\)$/.exec(item);
+        if (embed) {
+            selection.embeds.push({
+                alias: embed[1] || embed[2],
+                table: embed[2],
+                inner: embed[3] === 'inner',
+                hint: embed[3] && embed[3] !== 'inner' ? embed[3] : null,
+                selection: parseSelect(embed[4] || '*')
+            });
+            continue;
+        }
+
+        const column = /^(?:(\w+):)?(\w+)$/.exec(item);
+        if (!column) throw new Error(`Unsupported select item: ${item}`);
+        selection.columns.push({ alias: column[1] || column[2], name: column[2] });
+    }
+
+    if (!selection.columns.length && !selection.embeds.length) selection.star = true;
+    return selection;
+}
+
+// Tables outside supabase-schema.sql (RachaAI's own groups, group_members,
+// profiles) have no declared keys; they're joined on `<singular>_id`
+const singular = name => name.replace(/s$/, '');
+
+function findRelation(db, source, target, hint) {
+    let candidates = [
+        ...db.foreignKeys
+            .filter(key => key.table === source && key.refTable === target)
+            .map(key => ({ kind: 'one', column: key.column, refColumn: key.refColumn, name: `${key.table}_${key.column}_fkey` })),
+        ...db.foreignKeys
+            .filter(key => key.table === target && key.refTable === source)
+            .map(key => ({ kind: 'many', column: key.refColumn, refColumn: key.column, name: `${key.table}_${key.column}_fkey` }))
+    ];
+
+    if (hint) candidates = candidates.filter(candidate => candidate.name === hint);
+
+    if (candidates.length > 1) {
+        throw Object.assign(new Error(`More than one relationship was found for '${source}' and '${target}'`), { code: 'PGRST201' });
+    }
+    if (candidates.length) return candidates[0];
+
+    return null;
+}
+
+// Without a declared key: many-to-one if the row has `<target>_id`, else one-to-many
+function guessRelation(source, target, row) {
+    const column = `${singular(target)}_id`;
+
+    return column in row
+        ? { kind: 'one', column, refColumn: 'id' }
+        : { kind: 'many', column: 'id', refColumn: `${singular(source)}_id` };
+}
+
+// ============================================
+// QUERY BUILDER
+// ============================================
+
+class MemoryQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.table = db.getTable(table);
+        this.action = 'select';
+        this.selection = parseSelect('*');
+        this.returning = false;
+        this.filters = [];
+        this.embedFilters = [];
+        this.orders = [];
+        this.embedOrders = [];
+        this.limitCount = null;
+        this.mode = null;
+        this.countRows = false;
+        this.head = false;
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        this.selection = parseSelect(columns);
+        if (this.action === 'select') {
+            this.countRows = count !== null;
+            this.head = head;
+        } else {
+            this.returning = true;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = [].concat(values);
+        return this;
+    }
+
+    upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+        this.action = 'upsert';
+        this.values = [].concat(values);
+        this.conflictColumns = onConflict ? onConflict.split(',').map(column => column.trim()) : this.table.primaryKey;
+        this.ignoreDuplicates = ignoreDuplicates;
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        const negate = operator.startsWith('not.');
+        const op = negate ? operator.slice(4) : operator;
+        const [embed, embedColumn] = column.includes('.') ? column.split('.') : [null, column];
+
+        if (embed) {
+            this.embedFilters.push({ embed, column: embedColumn, operator: op, value, negate });
+        } else {
+            this.filters.push(buildCondition(this.table, column, op, value, negate));
+        }
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    not(column, operator, value) { return this.filter(column, `not.${operator}`, value); }
+
+    or(expression) {
+        this.filters.push(parseLogic(this.table, expression));
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst = !ascending, referencedTable = null, foreignTable = null } = {}) {
+        const order = { column, ascending, nullsFirst };
+        const embed = referencedTable || foreignTable;
+
+        if (embed) this.embedOrders.push({ embed, ...order });
+        else this.orders.push(order);
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    single() {
+        this.mode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.mode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        let result;
+
+        try {
+            result = this.execute();
+        } catch (error) {
+            result = { data: null, error: postgrestError(error.code || 'PGRST000', error.message), count: null };
+        }
+
+        return Promise.resolve(result).then(resolve, reject);
+    }
+
+    execute() {
+        let rows;
+
+        switch (this.action) {
+            case 'insert':
+                rows = this.db.insertRows(this.table, this.values);
+                break;
+            case 'upsert':
+                rows = this.db.upsertRows(this.table, this.values, this.conflictColumns, this.ignoreDuplicates);
+                break;
+            case 'update':
+                rows = this.db.updateRows(this.table, this.table.rows.filter(row => this.matches(row)), this.values);
+                break;
+            case 'delete':
+                rows = this.db.deleteRows(this.table, this.table.rows.filter(row => this.matches(row)));
+                break;
+            default:
+                return this.finish(this.table.rows.filter(row => this.matches(row)));
+        }
+
+        return this.returning ? this.finish(rows) : { data: null, error: null, count: null };
+    }
+
+    matches(row) {
+        return this.filters.every(filter => filter(row));
+    }
+
+    finish(rows) {
+        const sorted = sortRows(this.table, rows, this.orders);
+        let data = sorted
+            .map(row => this.db.project(this.table, row, this.selection, this))
+            .filter(Boolean);
+
+        const count = this.countRows ? data.length : null;
+        if (this.limitCount !== null) data = data.slice(0, this.limitCount);
+        if (this.head) return { data: null, error: null, count };
+
+        if (this.mode) {
+            if (data.length > 1 || (this.mode === 'single' && !data.length)) {
+                return {
+                    data: null,
+                    error: postgrestError('PGRST116', 'JSON object requested, multiple (or no) rows returned'),
+                    count
+                };
+            }
+            data = data[0] ?? null;
+        }
+
+        return { data, error: null, count };
+    }
+}
+
+function sortRows(table, rows, orders) {
+    if (!orders.length) return [...rows];
+
+    return [...rows].sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of orders) {
+            const definition = table.columns.get(column);
+            const left = toComparable(definition, a[column]);
+            const right = toComparable(definition, b[column]);
+
+            if (left === null || right === null) {
+                if (left === right) continue;
+                return (left === null) === nullsFirst ? -1 : 1;
+            }
+
+            const result = compareValues(left, right);
+            if (result) return ascending ? result : -result;
+        }
+        return 0;
+    });
+}
+
+// ============================================
+// DATABASE
+// ============================================
+
+class MemoryDatabase {
+    constructor(schemaSql) {
+        const { tables, foreignKeys, seeds } = parseSchema(schemaSql);
+
+        this.tables = tables;
+        this.foreignKeys = foreignKeys;
+
+        for (const { table, row } of seeds) {
+            this.upsertRows(this.getTable(table), [row], this.uniqueColumnsOf(this.getTable(table)), true);
+        }
+    }
+
+    // Tables the schema doesn't declare start empty and accept any column
+    getTable(name) {
+        if (!this.tables.has(name)) this.tables.set(name, createTable(name));
+        return this.tables.get(name);
+    }
+
+    uniqueColumnsOf(table) {
+        return table.uniques[0]?.columns || table.primaryKey;
+    }
+
+    buildRow(table, values) {
+        const row = {};
+
+        for (const column of table.columns.values()) {
+            row[column.name] = column.default ? column.default() : null;
+        }
+
+        return Object.assign(row, structuredClone(values));
+    }
+
+    // 23505 if `candidate` collides with any other row on a key or unique index
+    checkUnique(table, candidate, others) {
+        const constraints = [
+            ...(table.primaryKey.length ? [{ columns: table.primaryKey, where: null }] : []),
+            ...table.uniques
+        ];
+
+        for (const { columns, where } of constraints) {
+            if (where && !where(candidate)) continue;
+            if (columns.some(column => candidate[column] === null || candidate[column] === undefined)) continue;
+
+            const clash = others.find(other => other !== candidate
+                && (!where || where(other))
+                && columns.every(column => String(other[column]) === String(candidate[column])));
+
+            if (clash) {
+                throw Object.assign(
+                    new Error(`duplicate key value violates unique constraint "${table.name}_${columns.join('_')}_key"`),
+                    { code: '23505' }
+                );
+            }
+        }
+    }
+
+    insertRows(table, values) {
+        const rows = values.map(value => this.buildRow(table, value));
+        const all = [...table.rows, ...rows];
+
+        for (const row of rows) this.checkUnique(table, row, all);
+
+        table.rows.push(...rows);
+        return rows;
+    }
+
+    upsertRows(table, values, conflictColumns, ignoreDuplicates) {
+        const affected = [];
+
+        for (const value of values) {
+            const existing = table.rows.find(row => conflictColumns.every(column => String(row[column]) === String(value[column])));
+
+            if (!existing) {
+                affected.push(...this.insertRows(table, [value]));
+            } else if (!ignoreDuplicates) {
+                affected.push(...this.updateRows(table, [existing], value));
+            }
+        }
+
+        return affected;
+    }
+
+    updateRows(table, rows, values) {
+        const changes = new Map(rows.map(row => [row, {
+            ...row,
+            ...structuredClone(values),
+            ...(table.touchesUpdatedAt && table.columns.has('updated_at') && { updated_at: new Date().toISOString() })
+        }]));
+
+        const after = table.rows.map(row => changes.get(row) || row);
+        for (const updated of changes.values()) this.checkUnique(table, updated, after);
+
+        for (const [row, updated] of changes) Object.assign(row, updated);
+        return rows;
+    }
+
+    // Applies ON DELETE CASCADE / SET NULL of the rows referencing these
+    deleteRows(table, rows) {
+        const removed = new Set(rows);
+        table.rows = table.rows.filter(row => !removed.has(row));
+
+        for (const key of this.foreignKeys.filter(foreignKey => foreignKey.refTable === table.name)) {
+            const referencing = this.getTable(key.table);
+            const values = new Set(rows.map(row => String(row[key.refColumn])));
+            const dependents = referencing.rows.filter(row => row[key.column] !== null && values.has(String(row[key.column])));
+
+            if (key.onDelete === 'CASCADE') {
+                this.deleteRows(referencing, dependents);
+            } else if (key.onDelete === 'SET NULL') {
+                for (const row of dependents) row[key.column] = null;
+            }
+        }
+
+        return rows;
+    }
+
+    // One result row: the selected columns plus embedded resources
+    project(table, row, selection, query = null, path = []) {
+        const output = selection.star ? structuredClone(row) : {};
+
+        for (const { alias, name } of selection.columns) {
+            output[alias] = structuredClone(row[name] ?? null);
+        }
+
+        for (const embed of selection.embeds) {
+            const target = this.getTable(embed.table);
+            const relation = findRelation(this, table.name, embed.table, embed.hint) || guessRelation(table.name, embed.table, row);
+            const names = [embed.alias, embed.table];
+
+            let related = target.rows.filter(candidate => relation.kind === 'one'
+                ? row[relation.column] !== null && String(candidate[relation.refColumn]) === String(row[relation.column])
+                : candidate[relation.refColumn] !== null && String(candidate[relation.refColumn]) === String(row[relation.column]));
+
+            // Filters and ordering on an embedded resource (`profiles.phone`) only
+            // apply one level down from the top-level table
+            if (query && !path.length) {
+                for (const filter of query.embedFilters.filter(item => names.includes(item.embed))) {
+                    const condition = buildCondition(target, filter.column, filter.operator, filter.value, filter.negate);
+                    related = related.filter(condition);
+                }
+
+                related = sortRows(target, related, query.embedOrders.filter(order => names.includes(order.embed)));
+            }
+
+            const projected = related.map(candidate => this.project(target, candidate, embed.selection, query, [...path, embed.alias]));
+
+            if (embed.inner && !projected.length) return null;
+            output[embed.alias] = relation.kind === 'one' ? projected[0] ?? null : projected;
+        }
+
+        return output;
+    }
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+// Buckets are created on first use, like `supabase start` with the schema's buckets
+function createMemoryStorage() {
+    const buckets = new Map();
+
+    return {
+        from(bucket) {
+            if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+            const files = buckets.get(bucket);
+
+            return {
+                async upload(path, body, { contentType = null, upsert = false } = {}) {
+                    if (files.has(path) && !upsert) {
+                        return { data: null, error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' } };
+                    }
+
+                    files.set(path, { body: Buffer.from(body), contentType });
+                    return { data: { path }, error: null };
+                },
+
+                async remove(paths) {
+                    const removed = paths.filter(path => files.delete(path));
+                    return { data: removed.map(name => ({ name })), error: null };
+                }
+            };
+        }
+    };
+}
+
+// A supabase-js lookalike: `from(table)` query builders and `storage.from(bucket)`
+export function createMemoryClient(schemaSql) {
+    const db = new MemoryDatabase(schemaSql);
+
+    return {
+        from: table => new MemoryQuery(db, table),
+        storage: createMemoryStorage()
+    };
+}
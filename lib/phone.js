@@ -0,0 +1,63 @@
+// ============================================
+// PHONE NUMBERS
+// E.164 normalization and WhatsApp JIDs; no I/O, so tests import it directly
+// ============================================
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY || 'BR';
+
+// Parse any user-typed number into E.164. National numbers are read in
+// DEFAULT_COUNTRY; digits that already carry a country code also work.
+export function normalizePhoneNumber(number) {
+    const raw = String(number ?? '').trim();
+    const isInternational = raw.startsWith('+') || raw.startsWith('00');
+
+    let phone = isInternational
+        ? parsePhoneNumberFromString(raw.startsWith('00') ? `+${raw.slice(2)}` : raw)
+        : parsePhoneNumberFromString(raw, DEFAULT_COUNTRY);
+
+    // e.g. "14155552671" typed without "+"
+    if (!phone?.isValid() && !isInternational) {
+        phone = parsePhoneNumberFromString(`+${raw.replace(/\D/g, '')}`);
+    }
+
+    if (!phone?.isValid()) {
+        const error = new Error(`Invalid phone number: ${raw || '(empty)'}`);
+        error.statusCode = 400;
+        error.reason = 'invalid_phone';
+        throw error;
+    }
+
+    return {
+        e164: phone.number,
+        digits: phone.number.slice(1),
+        country: phone.country || null,
+        nationalNumber: phone.nationalNumber
+    };
+}
+
+// Format phone number to a WhatsApp JID (JIDs pass through untouched)
+export function formatPhoneNumber(number) {
+    if (String(number).includes('@')) return number;
+
+    return normalizePhoneNumber(number).digits + '@s.whatsapp.net';
+}
+
+// Brazilian mobiles gained a 9th digit, but older WhatsApp accounts are still
+// registered without it, so the dialed number and the JID can differ
+export function getJidCandidates(phone) {
+    const candidates = [phone.digits];
+    const { country, nationalNumber } = phone;
+
+    if (country === 'BR') {
+        const areaCode = nationalNumber.slice(0, 2);
+        const subscriber = nationalNumber.slice(2);
+
+        if (subscriber.length === 9 && subscriber.startsWith('9')) {
+            candidates.push(`55${areaCode}${subscriber.slice(1)}`);
+        }
+    }
+
+    return candidates.map(digits => `${digits}@s.whatsapp.net`);
+}
@@ -0,0 +1,139 @@
+// ============================================
+// PIX BR CODE
+// BCB payload builder for the QR codes and copy-paste codes we send; no I/O, so tests import it directly
+// ============================================
+
+import crypto from 'crypto';
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+const PIX_MERCHANT_NAME = process.env.PIX_MERCHANT_NAME || 'RACHAAI';
+const PIX_MERCHANT_CITY = process.env.PIX_MERCHANT_CITY || 'SAO PAULO';
+
+// Static Pix "copia e cola" per the BCB EMV QR Code spec (Manual de Padrões para Iniciação do Pix)
+// Lengths count UTF-8 bytes, the same bytes the CRC is computed over
+function emvField(id, value) {
+    return `${id}${String(Buffer.byteLength(value, 'utf8')).padStart(2, '0')}${value}`;
+}
+
+// CRC16-CCITT (poly 0x1021, init 0xFFFF), as required for field 63
+export function crc16(payload) {
+    let crc = 0xFFFF;
+
+    for (const byte of Buffer.from(payload, 'utf8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Merchant name/city must be plain ASCII: "São Paulo" -> "SAO PAULO"
+function sanitizePixText(text, maxLength) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9 ]/g, '')
+        .trim()
+        .toUpperCase()
+        .slice(0, maxLength);
+}
+
+function pixError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.reason = 'invalid_pix';
+    return error;
+}
+
+const PIX_EVP_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PIX_CPF_PATTERN = /^\d{3}\.\d{3}\.\d{3}-\d{2}$/;
+
+// CPF check digits, to tell a CPF from an 11-digit mobile typed without formatting
+export function isValidCpf(digits) {
+    if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) return false;
+
+    const checkDigit = length => {
+        const sum = [...digits.slice(0, length)].reduce((total, digit, index) => total + Number(digit) * (length + 1 - index), 0);
+        return (sum * 10) % 11 % 10;
+    };
+
+    return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+}
+
+// Bank apps only resolve a key in its DICT form: email and random (EVP) keys in
+// lowercase, CPF/CNPJ as bare digits, phones as +55DDDNNNNNNNNN.
+// "123.456.789-09", "(11) 99999-9999" or "11999999999" as typed by a leader all
+// work; null if the key isn't any of those.
+export function normalizePixKey(pixKey) {
+    const key = String(pixKey || '').trim();
+    if (!key || key.length > 77) return null;
+
+    if (key.includes('@') || PIX_EVP_PATTERN.test(key)) return key.toLowerCase();
+    if (!/^[\d\s().\/+-]+$/.test(key)) return null;
+
+    const digits = key.replace(/\D/g, '');
+    if (digits.length === 14 && !key.startsWith('+')) return digits;
+    if (PIX_CPF_PATTERN.test(key) || (/^\d{11}$/.test(key) && isValidCpf(digits))) return digits;
+
+    const phone = parsePhoneNumberFromString(key.startsWith('+') ? key : `+55${digits.replace(/^55(?=\d{10,11}$)/, '')}`);
+    return phone?.isValid() && phone.country === 'BR' ? phone.number : null;
+}
+
+// Accepts "14.90", "14,90" or 14.9
+export function parsePixAmount(value) {
+    const amount = Number(String(value).replace(',', '.'));
+
+    if (!Number.isFinite(amount) || amount <= 0 || amount > 9999999999.99) {
+        throw pixError(`Invalid Pix amount: ${value}`);
+    }
+
+    return amount.toFixed(2);
+}
+
+function generatePixTxid() {
+    return `RACHAAI${crypto.randomBytes(9).toString('hex').toUpperCase()}`.slice(0, 25);
+}
+
+export function buildPixPayload({ pixKey, value, merchantName = PIX_MERCHANT_NAME, merchantCity = PIX_MERCHANT_CITY, txid, description }) {
+    const key = normalizePixKey(pixKey);
+    if (!key) {
+        throw pixError(`Invalid Pix key: ${pixKey || '(empty)'} (use an email, CPF, CNPJ, phone or random key)`);
+    }
+
+    const name = sanitizePixText(merchantName, 25);
+    const city = sanitizePixText(merchantCity, 15);
+    if (!name || !city) {
+        throw pixError('Pix merchant name and city are required');
+    }
+
+    const transactionId = txid ? String(txid).replace(/[^A-Za-z0-9]/g, '').slice(0, 25) : generatePixTxid();
+    if (!transactionId) {
+        throw pixError(`Invalid Pix txid: ${txid}`);
+    }
+
+    const accountInfo = emvField('00', 'br.gov.bcb.pix')
+        + emvField('01', key)
+        + (description ? emvField('02', sanitizePixText(description, 40)) : '');
+
+    if (Buffer.byteLength(accountInfo, 'utf8') > 99) {
+        throw pixError('Pix key and description are too long');
+    }
+
+    const payload = emvField('00', '01')
+        + emvField('26', accountInfo)
+        + emvField('52', '0000')
+        + emvField('53', '986')
+        + emvField('54', parsePixAmount(value))
+        + emvField('58', 'BR')
+        + emvField('59', name)
+        + emvField('60', city)
+        + emvField('62', emvField('05', transactionId))
+        + '6304';
+
+    return {
+        payload: payload + crc16(payload),
+        txid: transactionId
+    };
+}
@@ -0,0 +1,364 @@
+// ============================================
+// CLIENT GENERATOR
+// Builds client/ (JS + TypeScript types) from openapi.json
+// ============================================
+
+// Usage: npm run generate:client
+// No dependencies on purpose, so it runs before `npm install` too.
+// The output is committed; CI can diff it to catch a spec change without a regenerate.
+
+import fs from 'fs/promises';
+
+const ROOT = new URL('../', import.meta.url);
+const CLIENT_DIR = new URL('client/', ROOT);
+
+const spec = JSON.parse(await fs.readFile(new URL('openapi.json', ROOT), 'utf8'));
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const pascalCase = name => name.replace(/(^|[^a-zA-Z0-9])([a-zA-Z0-9])/g, (_, __, char) => char.toUpperCase());
+const isIdentifier = name => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+
+function resolve(value) {
+    if (!value?.$ref) return value;
+    const [, kind, name] = value.$ref.split('/').slice(1);
+    return spec.components[kind][name];
+}
+
+// Every operation with what its method needs: path params, body, query and the success response
+function collectOperations() {
+    const operations = [];
+
+    for (const [path, item] of Object.entries(spec.paths)) {
+        for (const method of METHODS.filter(candidate => item[candidate])) {
+            const operation = item[method];
+            const parameters = (operation.parameters || []).map(resolve);
+            const [status, response] = Object.entries(operation.responses).find(([code]) => /^2/.test(code));
+            const content = resolve(response).content || {};
+
+            operations.push({
+                ...operation,
+                method: method.toUpperCase(),
+                path,
+                pathParams: parameters.filter(parameter => parameter.in === 'path'),
+                queryParams: parameters.filter(parameter => parameter.in === 'query'),
+                body: operation.requestBody,
+                status,
+                responseSchema: content['application/json']?.schema,
+                responseTypes: Object.keys(content)
+            });
+        }
+    }
+
+    return operations;
+}
+
+// ============================================
+// TYPES
+// ============================================
+function docComment(text, indent) {
+    if (!text) return '';
+    const lines = text.split('\n');
+    if (lines.length === 1) return `${indent}/** ${text} */\n`;
+    return `${indent}/**\n${lines.map(line => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+function toType(schema, indent = '') {
+    if (!schema) return 'unknown';
+
+    let type;
+
+    if (schema.$ref) {
+        type = schema.$ref.split('/').pop();
+    } else if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    } else if ((schema.anyOf || schema.oneOf) && !schema.type) {
+        type = (schema.anyOf || schema.oneOf).map(option => toType(option, indent)).join(' | ');
+    } else if (schema.allOf) {
+        type = schema.allOf.map(part => toType(part, indent)).join(' & ');
+    } else if (schema.type === 'array') {
+        type = `Array<${toType(schema.items, indent)}>`;
+    } else if (schema.type === 'object' || schema.properties) {
+        type = toObjectType(schema, indent);
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        type = 'number';
+    } else if (schema.type === 'string') {
+        type = schema.format === 'binary' ? 'Blob' : 'string';
+    } else if (schema.type === 'boolean') {
+        type = 'boolean';
+    } else {
+        type = 'unknown';
+    }
+
+    return schema.nullable && !schema.enum?.includes(null) ? `${type} | null` : type;
+}
+
+function toObjectType(schema, indent) {
+    const properties = Object.entries(schema.properties || {});
+    const extra = schema.additionalProperties;
+
+    if (!properties.length && !extra) return 'Record<string, unknown>';
+
+    const inner = `${indent}    `;
+    const required = schema.required || [];
+    const lines = properties.map(([name, property]) => {
+        const key = isIdentifier(name) ? name : JSON.stringify(name);
+        const optional = required.includes(name) ? '' : '?';
+        return `${docComment(property.description, inner)}${inner}${key}${optional}: ${toType(property, inner)};`;
+    });
+
+    if (extra) lines.push(`${inner}[key: string]: ${extra === true ? 'unknown' : toType(extra, inner)};`);
+
+    return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+function queryType(operation) {
+    return toObjectType({
+        properties: Object.fromEntries(operation.queryParams.map(parameter => [
+            parameter.name,
+            { ...parameter.schema, description: parameter.description }
+        ])),
+        required: operation.queryParams.filter(parameter => parameter.required).map(parameter => parameter.name)
+    }, '');
+}
+
+// Same split as readBody() in the runtime: JSON parsed, text and SVG as string, anything else a Blob
+function responseType(operation) {
+    const types = operation.responseTypes.map(type => {
+        if (type === 'application/json') return toType(operation.responseSchema);
+        return type.startsWith('text/') || type.includes('svg') ? 'string' : 'Blob';
+    });
+
+    return types.length ? [...new Set(types)].join(' | ') : 'void';
+}
+
+// Positional arguments: path params in order, then body, then query, then options
+function methodArguments(operation, { typed }) {
+    const name = pascalCase(operation.operationId);
+    const queryRequired = operation.queryParams.some(parameter => parameter.required);
+    const args = operation.pathParams.map(parameter => (typed ? `${parameter.name}: string` : parameter.name));
+
+    if (operation.body) {
+        args.push(typed ? `body${operation.body.required ? '' : '?'}: ${name}Body` : 'body');
+    }
+    if (operation.queryParams.length) {
+        args.push(typed ? `query${queryRequired ? '' : '?'}: ${name}Query` : 'query');
+    }
+    args.push(typed ? 'options?: RequestOptions' : 'options');
+
+    return args.join(', ');
+}
+
+function renderTypes(operations) {
+    const schemas = Object.entries(spec.components.schemas).map(([name, schema]) =>
+        `${docComment(schema.description, '')}export type ${name} = ${toType(schema)};`
+    );
+
+    const operationTypes = operations.flatMap(operation => {
+        const name = pascalCase(operation.operationId);
+        return [
+            ...(operation.body ? [`export type ${name}Body = ${toType(operation.body.content['application/json'].schema)};`] : []),
+            ...(operation.queryParams.length ? [`export type ${name}Query = ${queryType(operation)};`] : []),
+            `export type ${name}Response = ${responseType(operation)};`
+        ];
+    });
+
+    const methods = operations.map(operation => {
+        const name = pascalCase(operation.operationId);
+        const doc = docComment(`${operation.summary}\n\n\`${operation.method} ${operation.path}\`${operation.description ? `\n\n${operation.description}` : ''}`, '    ');
+        return `${doc}    ${operation.operationId}(${methodArguments(operation, { typed: true })}): Promise<${name}Response>;`;
+    });
+
+    return `// Generated by scripts/generate-client.js from openapi.json - do not edit.
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+${schemas.join('\n\n')}
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+${operationTypes.join('\n\n')}
+
+// ============================================
+// CLIENT
+// ============================================
+
+export interface ClientOptions {
+    /** e.g. https://whatsapp.rachaai.com.br */
+    baseUrl: string;
+    /** Sent as X-API-Key */
+    apiKey?: string;
+    /** Defaults to the global fetch */
+    fetch?: typeof fetch;
+    /** Per-request timeout; 0 = none. Default 30000 */
+    timeoutMs?: number;
+}
+
+export interface RequestOptions {
+    /** Idempotency-Key header: retries with the same key replay the first response */
+    idempotencyKey?: string;
+    /** X-Request-Id header, echoed back and logged by the service */
+    requestId?: string;
+    signal?: AbortSignal;
+    headers?: Record<string, string>;
+}
+
+export declare class WhatsAppApiError extends Error {
+    /** HTTP status */
+    status: number;
+    /** Machine-readable code, e.g. invalid_request, opted_out, resend_cooldown */
+    reason: string | null;
+    /** One entry per invalid field when reason is invalid_request */
+    errors: FieldError[];
+    /** Seconds from Retry-After, on 429 */
+    retryAfter: number | null;
+    requestId: string | null;
+    body: unknown;
+}
+
+export declare class WhatsAppClient {
+    constructor(options: ClientOptions);
+
+${methods.join('\n\n')}
+}
+`;
+}
+
+// ============================================
+// RUNTIME
+// ============================================
+function pathExpression(operation) {
+    if (!operation.pathParams.length) return `'${operation.path}'`;
+    return `\`${operation.path.replace(/\{(\w+)\}/g, (_, name) => `\${encodeURIComponent(${name})}`)}\``;
+}
+
+function renderMethod(operation) {
+    const request = [
+        ...(operation.body ? ['body'] : []),
+        ...(operation.queryParams.length ? ['query'] : []),
+        '...options'
+    ];
+    const doc = docComment(`${operation.summary}\n\`${operation.method} ${operation.path}\``, '    ');
+
+    return `${doc}    ${operation.operationId}(${methodArguments(operation, { typed: false })}) {
+        return this.request('${operation.method}', ${pathExpression(operation)}, { ${request.join(', ')} });
+    }`;
+}
+
+function renderClient(operations) {
+    return `// Generated by scripts/generate-client.js from openapi.json - do not edit.
+// Types: index.d.ts. Every method resolves to the parsed JSON body (Blob or
+// text for non-JSON responses) and throws WhatsAppApiError on non-2xx.
+
+export class WhatsAppApiError extends Error {
+    constructor(message, { status, reason = null, errors = [], retryAfter = null, requestId = null, body = null }) {
+        super(message);
+        this.name = 'WhatsAppApiError';
+        this.status = status;
+        this.reason = reason;
+        this.errors = errors;
+        this.retryAfter = retryAfter;
+        this.requestId = requestId;
+        this.body = body;
+    }
+}
+
+function buildQuery(query = {}) {
+    const params = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) params.append(key, String(value));
+    }
+
+    const text = params.toString();
+    return text ? \`?\${text}\` : '';
+}
+
+async function readBody(response) {
+    const type = response.headers.get('content-type') || '';
+
+    if (type.includes('application/json')) return response.json();
+    if (type.startsWith('text/') || type.includes('svg')) return response.text();
+    return response.blob();
+}
+
+export class WhatsAppClient {
+    constructor({ baseUrl, apiKey, fetch: fetchImpl = globalThis.fetch, timeoutMs = 30000 }) {
+        if (!baseUrl) throw new Error('baseUrl is required');
+        if (!fetchImpl) throw new Error('No fetch available: pass one in the options');
+
+        this.baseUrl = baseUrl.replace(/\\/+$/, '');
+        this.apiKey = apiKey;
+        this.fetch = fetchImpl;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async request(method, path, { body, query, idempotencyKey, requestId, signal, headers = {} } = {}) {
+        const response = await this.fetch(\`\${this.baseUrl}\${path}\${buildQuery(query)}\`, {
+            method,
+            headers: {
+                ...(this.apiKey && { 'X-API-Key': this.apiKey }),
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+                ...(requestId && { 'X-Request-Id': requestId }),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: signal || (this.timeoutMs ? AbortSignal.timeout(this.timeoutMs) : undefined)
+        });
+
+        const data = await readBody(response);
+
+        if (!response.ok) {
+            throw new WhatsAppApiError(data?.error || \`HTTP \${response.status}\`, {
+                status: response.status,
+                reason: data?.reason,
+                errors: data?.errors,
+                retryAfter: Number(response.headers.get('Retry-After')) || null,
+                requestId: response.headers.get('X-Request-Id'),
+                body: data
+            });
+        }
+
+        return data;
+    }
+
+${operations.map(renderMethod).join('\n\n')}
+}
+`;
+}
+
+function renderPackage() {
+    return `${JSON.stringify({
+        name: '@rachaai/whatsapp-client',
+        version: spec.info.version,
+        description: `Typed client for the ${spec.info.title} (generated from openapi.json)`,
+        type: 'module',
+        main: 'index.js',
+        types: 'index.d.ts',
+        exports: {
+            '.': {
+                types: './index.d.ts',
+                default: './index.js'
+            }
+        },
+        files: ['index.js', 'index.d.ts'],
+        engines: { node: '>=18' },
+        license: 'MIT'
+    }, null, 4)}\n`;
+}
+
+const operations = collectOperations();
+
+// Rendered with \n; written with the CRLF endings the rest of the repo uses
+const writeClientFile = (name, content) => fs.writeFile(new URL(name, CLIENT_DIR), content.replace(/\r?\n/g, '\r\n'));
+
+await fs.mkdir(CLIENT_DIR, { recursive: true });
+await writeClientFile('index.js', renderClient(operations));
+await writeClientFile('index.d.ts', renderTypes(operations));
+await writeClientFile('package.json', renderPackage());
+
+console.log(`✅ client/ generated: ${operations.length} operations`);
@@ -43,3 +43,728 @@ CREATE TRIGGER update_whatsapp_auth_timestamp
 
 -- Grant permissions
 GRANT ALL ON public.whatsapp_auth TO service_role;
+
+-- ============================================
+-- OUTBOUND MESSAGE QUEUE
+-- ============================================
+
+-- Messages waiting to be (or already) delivered by the queue worker
+CREATE TABLE IF NOT EXISTS public.whatsapp_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  session_id TEXT NOT NULL DEFAULT 'main',
+  recipient TEXT NOT NULL,
+  message_type TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'sending', 'sent', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Worker picks due messages per session in arrival order
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_queue
+  ON public.whatsapp_messages(session_id, status, next_attempt_at);
+
+ALTER TABLE public.whatsapp_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_messages"
+  ON public.whatsapp_messages
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Reuses the updated_at trigger function from whatsapp_auth
+CREATE TRIGGER update_whatsapp_messages_timestamp
+  BEFORE UPDATE ON public.whatsapp_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_whatsapp_auth_updated_at();
+
+GRANT ALL ON public.whatsapp_messages TO service_role;
+
+-- When a worker took the row; claims older than CLAIM_LEASE_MS are handed back
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_sending
+  ON public.whatsapp_messages(claimed_at)
+  WHERE status = 'sending';
+
+-- ============================================
+-- DELIVERY RECEIPTS
+-- ============================================
+
+-- WhatsApp key and delivery progress of each queued message
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS wa_message_id TEXT,
+  ADD COLUMN IF NOT EXISTS wa_remote_jid TEXT,
+  ADD COLUMN IF NOT EXISTS delivery_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (delivery_status IN ('pending', 'sent', 'delivered', 'read', 'failed')),
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP WITH TIME ZONE;
+
+-- Receipts are matched by WhatsApp message id
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_wa_message_id
+  ON public.whatsapp_messages(session_id, wa_message_id);
+
+-- Support lookups by phone number
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_recipient
+  ON public.whatsapp_messages(recipient, created_at DESC);
+
+-- Every delivery status transition, in order
+CREATE TABLE IF NOT EXISTS public.whatsapp_message_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  message_id UUID NOT NULL REFERENCES public.whatsapp_messages(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_message_events_message_id
+  ON public.whatsapp_message_events(message_id, occurred_at);
+
+ALTER TABLE public.whatsapp_message_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_message_events"
+  ON public.whatsapp_message_events
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.whatsapp_message_events TO service_role;
+
+-- ============================================
+-- OUTBOUND WEBHOOKS
+-- ============================================
+
+-- Subscriptions: where to POST which events
+CREATE TABLE IF NOT EXISTS public.whatsapp_webhooks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- One row per (event, subscription), retried until delivered or failed
+CREATE TABLE IF NOT EXISTS public.whatsapp_webhook_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  webhook_id UUID NOT NULL REFERENCES public.whatsapp_webhooks(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivering', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 8,
+  response_status INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_webhook_deliveries_queue
+  ON public.whatsapp_webhook_deliveries(status, next_attempt_at);
+
+ALTER TABLE public.whatsapp_webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.whatsapp_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_webhooks"
+  ON public.whatsapp_webhooks
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role has full access to whatsapp_webhook_deliveries"
+  ON public.whatsapp_webhook_deliveries
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_whatsapp_webhooks_timestamp
+  BEFORE UPDATE ON public.whatsapp_webhooks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_whatsapp_auth_updated_at();
+
+CREATE TRIGGER update_whatsapp_webhook_deliveries_timestamp
+  BEFORE UPDATE ON public.whatsapp_webhook_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_whatsapp_auth_updated_at();
+
+GRANT ALL ON public.whatsapp_webhooks TO service_role;
+GRANT ALL ON public.whatsapp_webhook_deliveries TO service_role;
+
+-- When a dispatcher took the delivery; claims older than CLAIM_LEASE_MS are handed back
+ALTER TABLE public.whatsapp_webhook_deliveries
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- MESSAGE TEMPLATES
+-- ============================================
+
+-- Versioned, per-locale message copy. Variables use {{name}} placeholders.
+CREATE TABLE IF NOT EXISTS public.whatsapp_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  locale TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  variables TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (name, locale, version)
+);
+
+ALTER TABLE public.whatsapp_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_templates"
+  ON public.whatsapp_templates
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.whatsapp_templates TO service_role;
+
+-- Default copy used by /v1/send-otp and /v1/notify-billing
+INSERT INTO public.whatsapp_templates (name, locale, version, body, variables) VALUES
+  ('otp', 'pt-BR', 1, E'🔐 *RachaAI*\n\nSeu código de ativação é: *{{code}}*\n\nUtilize-o para validar sua conta agora.', ARRAY['code']),
+  ('otp', 'en', 1, E'🔐 *RachaAI*\n\nYour activation code is: *{{code}}*\n\nUse it to verify your account now.', ARRAY['code']),
+  ('otp', 'es', 1, E'🔐 *RachaAI*\n\nTu código de activación es: *{{code}}*\n\nÚsalo para validar tu cuenta ahora.', ARRAY['code']),
+  ('billing_D-1', 'pt-BR', 1, E'👋 Olá!\n\nSua parte da assinatura *{{service}}* vence amanhã.\n\n💰 Valor: R$ {{value}}\n🔑 Chave Pix: `{{pixKey}}`\n\nPague agora e evite transtornos!', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D-1', 'en', 1, E'👋 Hi!\n\nYour share of the *{{service}}* subscription is due tomorrow.\n\n💰 Amount: R$ {{value}}\n🔑 Pix key: `{{pixKey}}`\n\nPay now and avoid any hassle!', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D-1', 'es', 1, E'👋 ¡Hola!\n\nTu parte de la suscripción *{{service}}* vence mañana.\n\n💰 Monto: R$ {{value}}\n🔑 Clave Pix: `{{pixKey}}`\n\n¡Paga ahora y evita inconvenientes!', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D0', 'pt-BR', 1, E'⚠️ *Atenção!*\n\nSua fatura do *{{service}}* vence *HOJE*.\n\nEvite a interrupção do serviço!\n\n💰 Valor: R$ {{value}}\n🔑 Chave Pix: `{{pixKey}}`', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D0', 'en', 1, E'⚠️ *Heads up!*\n\nYour *{{service}}* bill is due *TODAY*.\n\nAvoid a service interruption!\n\n💰 Amount: R$ {{value}}\n🔑 Pix key: `{{pixKey}}`', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D0', 'es', 1, E'⚠️ *¡Atención!*\n\nTu factura de *{{service}}* vence *HOY*.\n\n¡Evita la interrupción del servicio!\n\n💰 Monto: R$ {{value}}\n🔑 Clave Pix: `{{pixKey}}`', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D+1', 'pt-BR', 1, E'🚨 *PAGAMENTO ATRASADO*\n\nSua assinatura do *{{service}}* venceu ontem.\n\nO dono do grupo já foi notificado.\n\n💰 Valor: R$ {{value}}\n🔑 Chave Pix: `{{pixKey}}`\n\nRegularize agora para manter o acesso!', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D+1', 'en', 1, E'🚨 *PAYMENT OVERDUE*\n\nYour *{{service}}* subscription was due yesterday.\n\nThe group owner has been notified.\n\n💰 Amount: R$ {{value}}\n🔑 Pix key: `{{pixKey}}`\n\nSettle it now to keep your access!', ARRAY['service', 'value', 'pixKey']),
+  ('billing_D+1', 'es', 1, E'🚨 *PAGO ATRASADO*\n\nTu suscripción de *{{service}}* venció ayer.\n\nEl dueño del grupo ya fue notificado.\n\n💰 Monto: R$ {{value}}\n🔑 Clave Pix: `{{pixKey}}`\n\n¡Regulariza ahora para mantener el acceso!', ARRAY['service', 'value', 'pixKey'])
+ON CONFLICT (name, locale, version) DO NOTHING;
+
+-- ============================================
+-- BILLING REMINDER LEDGER
+-- ============================================
+
+-- One row per reminder actually sent, so each D-1/D0/D+1 goes out once per cycle
+CREATE TABLE IF NOT EXISTS public.billing_notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  group_id UUID NOT NULL,
+  member_id UUID NOT NULL,
+  cycle DATE NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('D-1', 'D0', 'D+1')),
+  recipient TEXT NOT NULL,
+  message_id UUID REFERENCES public.whatsapp_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (group_id, member_id, cycle, type)
+);
+
+ALTER TABLE public.billing_notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to billing_notifications"
+  ON public.billing_notifications
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.billing_notifications TO service_role;
+
+-- One row per scheduled run (BILLING_RUN_TIMES slot) per day, so a slot missed
+-- during a restart is caught up once, and only by one instance
+CREATE TABLE IF NOT EXISTS public.billing_runs (
+  run_date DATE NOT NULL,
+  slot TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (run_date, slot)
+);
+
+ALTER TABLE public.billing_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to billing_runs"
+  ON public.billing_runs
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.billing_runs TO service_role;
+
+-- ============================================
+-- OTP CODES
+-- ============================================
+
+-- Server-generated verification codes; only a salted scrypt hash is stored
+CREATE TABLE IF NOT EXISTS public.otp_codes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  phone TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  salt TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  invalidated_at TIMESTAMP WITH TIME ZONE,
+  request_ip TEXT,
+  message_id UUID REFERENCES public.whatsapp_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Latest code per number, and hourly rate-limit counts
+CREATE INDEX IF NOT EXISTS idx_otp_codes_phone ON public.otp_codes(phone, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_otp_codes_request_ip ON public.otp_codes(request_ip, created_at DESC);
+
+ALTER TABLE public.otp_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to otp_codes"
+  ON public.otp_codes
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.otp_codes TO service_role;
+
+-- ============================================
+-- WHATSAPP CONTACT CACHE
+-- ============================================
+
+-- Result of sock.onWhatsApp per E.164 number (jid may differ, e.g. BR 9th digit)
+CREATE TABLE IF NOT EXISTS public.whatsapp_contacts (
+  phone TEXT PRIMARY KEY,
+  jid TEXT,
+  on_whatsapp BOOLEAN NOT NULL,
+  checked_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+ALTER TABLE public.whatsapp_contacts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_contacts"
+  ON public.whatsapp_contacts
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.whatsapp_contacts TO service_role;
+
+-- ============================================
+-- SEND RATE LIMITS
+-- ============================================
+
+-- When the number was linked, for warm-up limits
+ALTER TABLE public.whatsapp_auth
+  ADD COLUMN IF NOT EXISTS paired_at TIMESTAMP WITH TIME ZONE;
+
+-- Which API key queued each message, for per-key daily caps
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS api_key_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_session_created
+  ON public.whatsapp_messages(session_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_api_key_created
+  ON public.whatsapp_messages(api_key_id, created_at);
+
+-- ============================================
+-- API KEYS
+-- ============================================
+
+-- Scoped API keys. Only a SHA-256 of the key is stored; key_prefix finds the row.
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT UNIQUE NOT NULL,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  rotated_from UUID REFERENCES public.api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Which key made each state-changing request ('default' = X_API_KEY)
+CREATE TABLE IF NOT EXISTS public.api_key_audit_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  api_key_id TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER NOT NULL,
+  message_id UUID,
+  ip TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_key_audit_log_key
+  ON public.api_key_audit_log(api_key_id, created_at DESC);
+
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.api_key_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to api_keys"
+  ON public.api_keys
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role has full access to api_key_audit_log"
+  ON public.api_key_audit_log
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.api_keys TO service_role;
+GRANT ALL ON public.api_key_audit_log TO service_role;
+
+-- ============================================
+-- NON-TEXT MESSAGE CONTENT
+-- ============================================
+
+-- Media and other non-text content for queued messages (body holds the caption)
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS payload JSONB;
+
+-- ============================================
+-- PAYMENT CONFIRMATIONS
+-- ============================================
+
+-- A PAGUEI (or receipt) waiting for the group leader's CONFIRMAR/RECUSAR
+CREATE TABLE IF NOT EXISTS public.payment_confirmations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code TEXT NOT NULL,
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES public.group_members(id) ON DELETE CASCADE,
+  leader_member_id UUID NOT NULL REFERENCES public.group_members(id) ON DELETE CASCADE,
+  previous_status TEXT,
+  receipt_path TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'rejected')),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Codes only need to be unique while pending
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_confirmations_pending_code
+  ON public.payment_confirmations(code)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_payment_confirmations_member
+  ON public.payment_confirmations(member_id, created_at DESC);
+
+ALTER TABLE public.payment_confirmations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to payment_confirmations"
+  ON public.payment_confirmations
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.payment_confirmations TO service_role;
+
+-- Receipts bucket (private; RECEIPTS_BUCKET)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('payment-receipts', 'payment-receipts', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================
+-- LEADER DIGEST & ESCALATION
+-- ============================================
+
+-- Per-group settings; NULL escalation_days falls back to LEADER_ESCALATION_DAYS
+ALTER TABLE public.groups
+  ADD COLUMN IF NOT EXISTS digest_enabled BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS escalation_days INTEGER[];
+
+-- Digests (period = day) and escalations (period = 'cycle:D+N') sent to leaders.
+-- `members` keeps the numbered list the leader answers with COBRAR <n>.
+CREATE TABLE IF NOT EXISTS public.leader_notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  leader_member_id UUID NOT NULL REFERENCES public.group_members(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('digest', 'escalation')),
+  period TEXT NOT NULL,
+  members UUID[] NOT NULL DEFAULT '{}',
+  recipient TEXT NOT NULL,
+  message_id UUID REFERENCES public.whatsapp_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (group_id, kind, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leader_notifications_leader
+  ON public.leader_notifications(leader_member_id, created_at DESC);
+
+ALTER TABLE public.leader_notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to leader_notifications"
+  ON public.leader_notifications
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.leader_notifications TO service_role;
+
+-- Manual reminder a leader asks for with COBRAR
+INSERT INTO public.whatsapp_templates (name, locale, version, body, variables) VALUES
+  ('billing_nudge', 'pt-BR', 1, E'🔔 *Lembrete do dono do grupo*\n\nSua parte da assinatura *{{service}}* ainda está em aberto.\n\n💰 Valor: R$ {{value}}\n🔑 Chave Pix: `{{pixKey}}`\n\nJá pagou? Responda *PAGUEI*.', ARRAY['service', 'value', 'pixKey']),
+  ('billing_nudge', 'en', 1, E'🔔 *Reminder from the group owner*\n\nYour share of the *{{service}}* subscription is still open.\n\n💰 Amount: R$ {{value}}\n🔑 Pix key: `{{pixKey}}`\n\nAlready paid? Reply *PAGUEI*.', ARRAY['service', 'value', 'pixKey']),
+  ('billing_nudge', 'es', 1, E'🔔 *Recordatorio del dueño del grupo*\n\nTu parte de la suscripción *{{service}}* sigue pendiente.\n\n💰 Monto: R$ {{value}}\n🔑 Clave Pix: `{{pixKey}}`\n\n¿Ya pagaste? Responde *PAGUEI*.', ARRAY['service', 'value', 'pixKey'])
+ON CONFLICT (name, locale, version) DO NOTHING;
+
+-- ============================================
+-- AUTH STATE KEYS
+-- ============================================
+
+-- Creds and signal keys, one row each (creds: category 'creds', key_id 'creds').
+-- value is BufferJSON text. whatsapp_auth stays the session registry;
+-- its auth_state column is no longer written.
+CREATE TABLE IF NOT EXISTS public.whatsapp_auth_keys (
+  session_id TEXT NOT NULL,
+  category TEXT NOT NULL,
+  key_id TEXT NOT NULL,
+  value TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (session_id, category, key_id)
+);
+
+CREATE TRIGGER update_whatsapp_auth_keys_timestamp
+  BEFORE UPDATE ON public.whatsapp_auth_keys
+  FOR EACH ROW
+  EXECUTE FUNCTION update_whatsapp_auth_updated_at();
+
+ALTER TABLE public.whatsapp_auth_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_auth_keys"
+  ON public.whatsapp_auth_keys
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.whatsapp_auth_keys TO service_role;
+
+-- ============================================
+-- REQUEST CORRELATION
+-- ============================================
+
+-- X-Request-Id of the call that queued each message, and which endpoint
+-- (or 'scheduler:billing' / 'bot') it came from; used in logs and metrics
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS request_id TEXT,
+  ADD COLUMN IF NOT EXISTS endpoint TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_request_id
+  ON public.whatsapp_messages(request_id);
+
+ALTER TABLE public.api_key_audit_log
+  ADD COLUMN IF NOT EXISTS request_id TEXT;
+
+-- ============================================
+-- CONTACT PREFERENCES
+-- ============================================
+
+-- Per-recipient opt-out and timezone (for quiet hours), keyed on E.164
+CREATE TABLE IF NOT EXISTS public.contact_preferences (
+  phone TEXT PRIMARY KEY,
+  opted_out_at TIMESTAMP WITH TIME ZONE,
+  opt_out_source TEXT CHECK (opt_out_source IN ('inbound', 'api')),
+  opt_out_reason TEXT,
+  timezone TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_preferences_opted_out
+  ON public.contact_preferences(opted_out_at DESC)
+  WHERE opted_out_at IS NOT NULL;
+
+CREATE TRIGGER update_contact_preferences_timestamp
+  BEFORE UPDATE ON public.contact_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION update_whatsapp_auth_updated_at();
+
+ALTER TABLE public.contact_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to contact_preferences"
+  ON public.contact_preferences
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.contact_preferences TO service_role;
+
+-- Transactional messages (OTP, bot replies) ignore opt-out and quiet hours
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS transactional BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE public.whatsapp_messages
+  SET transactional = true
+  WHERE message_type IN ('otp', 'bot') AND transactional = false;
+
+-- ============================================
+-- WHATSAPP GROUPS
+-- ============================================
+
+-- WhatsApp group created for a RachaAI group. `invited` holds members who
+-- couldn't be added (privacy settings) and already got the invite link.
+CREATE TABLE IF NOT EXISTS public.whatsapp_groups (
+  group_id UUID PRIMARY KEY REFERENCES public.groups(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL,
+  jid TEXT NOT NULL UNIQUE,
+  subject TEXT,
+  description TEXT,
+  post_reminders BOOLEAN NOT NULL DEFAULT true,
+  post_digest BOOLEAN NOT NULL DEFAULT false,
+  invited TEXT[] NOT NULL DEFAULT '{}',
+  synced_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TRIGGER update_whatsapp_groups_timestamp
+  BEFORE UPDATE ON public.whatsapp_groups
+  FOR EACH ROW
+  EXECUTE FUNCTION update_whatsapp_auth_updated_at();
+
+ALTER TABLE public.whatsapp_groups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_groups"
+  ON public.whatsapp_groups
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.whatsapp_groups TO service_role;
+
+-- Reminders (period = 'cycle:D-1' etc.) and digests (period = day) posted into groups
+CREATE TABLE IF NOT EXISTS public.whatsapp_group_posts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('reminder', 'digest')),
+  period TEXT NOT NULL,
+  message_id UUID REFERENCES public.whatsapp_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (group_id, kind, period)
+);
+
+ALTER TABLE public.whatsapp_group_posts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to whatsapp_group_posts"
+  ON public.whatsapp_group_posts
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.whatsapp_group_posts TO service_role;
+
+-- ============================================
+-- IDEMPOTENCY KEYS
+-- ============================================
+
+-- First response per (API key, Idempotency-Key), replayed to retries until
+-- expires_at. A 'processing' row is the lock concurrent retries wait on.
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  api_key_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (api_key_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires
+  ON public.idempotency_keys(expires_at);
+
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to idempotency_keys"
+  ON public.idempotency_keys
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+GRANT ALL ON public.idempotency_keys TO service_role;
+
+-- Expired keys are ignored by the service; purge them periodically, e.g.:
+-- DELETE FROM public.idempotency_keys WHERE expires_at < now();
+
+-- ============================================
+-- SCHEDULED MESSAGES
+-- ============================================
+
+-- send_at: when the caller asked for it to go out (next_attempt_at starts there)
+-- tag: caller-provided handle to cancel a batch at once
+-- missed_policy: 'send' late or 'skip' when the service was down at send_at
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS send_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS tag TEXT,
+  ADD COLUMN IF NOT EXISTS missed_policy TEXT CHECK (missed_policy IN ('send', 'skip')),
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+-- cancelled: removed by the caller before it went out
+-- skipped: missed its time under the 'skip' policy
+ALTER TABLE public.whatsapp_messages
+  DROP CONSTRAINT IF EXISTS whatsapp_messages_status_check;
+
+ALTER TABLE public.whatsapp_messages
+  ADD CONSTRAINT whatsapp_messages_status_check
+  CHECK (status IN ('queued', 'sending', 'sent', 'dead', 'cancelled', 'skipped'));
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_tag
+  ON public.whatsapp_messages(tag)
+  WHERE status = 'queued' AND tag IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_scheduled
+  ON public.whatsapp_messages(next_attempt_at)
+  WHERE status = 'queued' AND send_at IS NOT NULL;
+
+-- ============================================
+-- FALLBACK CHANNELS
+-- ============================================
+
+-- channel: what actually delivered the message (whatsapp, sms, email)
+-- fallback_*: the policy snapshot taken at enqueue and its progress.
+-- fallback_status: pending (waiting for fallback_at), sending, sent, failed,
+-- or not_needed once WhatsApp confirmed delivery.
+ALTER TABLE public.whatsapp_messages
+  ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'whatsapp',
+  ADD COLUMN IF NOT EXISTS channel_message_id TEXT,
+  ADD COLUMN IF NOT EXISTS fallback_channels TEXT[],
+  ADD COLUMN IF NOT EXISTS fallback_email TEXT,
+  ADD COLUMN IF NOT EXISTS fallback_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS fallback_status TEXT
+    CHECK (fallback_status IN ('pending', 'sending', 'sent', 'failed', 'not_needed')),
+  ADD COLUMN IF NOT EXISTS fallback_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS fallback_error TEXT;
+
+-- Fallback worker picks due messages across all sessions
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_fallback
+  ON public.whatsapp_messages(fallback_at)
+  WHERE fallback_status = 'pending';
+
+-- Fallback claims also set claimed_at and share CLAIM_LEASE_MS with the queue
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_fallback_sending
+  ON public.whatsapp_messages(claimed_at)
+  WHERE fallback_status = 'sending';
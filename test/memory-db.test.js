@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { createMemoryClient } from '../lib/memory-db.js';
+
+const SCHEMA = `
+-- Comments; and semicolons; are skipped
+CREATE TABLE IF NOT EXISTS public.webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES public.webhooks(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+ALTER TABLE public.deliveries ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deliveries_one_pending
+  ON public.deliveries (webhook_id) WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION touch() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now(); -- not a statement break
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER touch_webhooks BEFORE UPDATE ON public.webhooks
+  FOR EACH ROW EXECUTE FUNCTION touch();
+
+CREATE TABLE IF NOT EXISTS public.templates (
+  name TEXT NOT NULL,
+  body TEXT NOT NULL,
+  variables TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+  UNIQUE (name)
+);
+
+INSERT INTO public.templates (name, body, variables) VALUES
+  ('otp', E'Code: *{{code}}*\\n\\nIt''s yours', ARRAY['code']),
+  ('hello', 'Hi, {{name}}', ARRAY['name'])
+ON CONFLICT (name) DO NOTHING;
+`;
+
+describe('createMemoryClient', () => {
+    it('applies defaults and returns inserted rows', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data, error } = await db.from('webhooks').insert({ url: 'https://example.com' }).select().single();
+
+        assert.equal(error, null);
+        assert.match(data.id, /^[0-9a-f-]{36}$/);
+        assert.deepEqual(data.events, ['*']);
+        assert.equal(data.active, true);
+        assert.ok(Date.parse(data.created_at));
+    });
+
+    it('loads seed rows, including E strings and arrays', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data } = await db.from('templates').select('name, body, variables').order('name');
+
+        assert.deepEqual(data, [
+            { name: 'hello', body: 'Hi, {{name}}', variables: ['name'] },
+            { name: 'otp', body: "Code: *{{code}}*\n\nIt's yours", variables: ['code'] }
+        ]);
+    });
+
+    it('reports unique violations as 23505, honoring partial indexes', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data: webhook } = await db.from('webhooks').insert({ url: 'https://example.com' }).select().single();
+
+        assert.equal((await db.from('deliveries').insert({ webhook_id: webhook.id })).error, null);
+        assert.equal((await db.from('deliveries').insert({ webhook_id: webhook.id })).error.code, '23505');
+        assert.equal((await db.from('deliveries').insert({ webhook_id: webhook.id, status: 'sent' })).error, null);
+        assert.equal((await db.from('templates').insert({ name: 'otp', body: 'x' })).error.code, '23505');
+    });
+
+    it('upserts on a conflict target or ignores duplicates', async () => {
+        const db = createMemoryClient(SCHEMA);
+
+        await db.from('templates').upsert({ name: 'otp', body: 'new' }, { onConflict: 'name', ignoreDuplicates: true });
+        assert.equal((await db.from('templates').select('body').eq('name', 'otp').single()).data.body, "Code: *{{code}}*\n\nIt's yours");
+
+        await db.from('templates').upsert({ name: 'otp', body: 'new' }, { onConflict: 'name' });
+        assert.equal((await db.from('templates').select('body').eq('name', 'otp').single()).data.body, 'new');
+    });
+
+    it('filters with eq, in, is, not, timestamps and or() strings', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data: webhook } = await db.from('webhooks').insert({ url: 'https://example.com' }).select().single();
+        await db.from('deliveries').insert([
+            { webhook_id: webhook.id, status: 'sent', next_attempt_at: '2024-01-01T00:00:00Z' },
+            { webhook_id: webhook.id, status: 'failed', next_attempt_at: '2024-01-03T00:00:00.000+00:00' },
+            { webhook_id: webhook.id, status: 'dead', next_attempt_at: null }
+        ]);
+        const statuses = async query => (await query).data.map(row => row.status).sort();
+        const deliveries = () => db.from('deliveries').select('status');
+
+        assert.deepEqual(await statuses(deliveries().in('status', ['sent', 'dead'])), ['dead', 'sent']);
+        assert.deepEqual(await statuses(deliveries().not('status', 'in', '(sent,dead)')), ['failed']);
+        assert.deepEqual(await statuses(deliveries().is('next_attempt_at', null)), ['dead']);
+        assert.deepEqual(await statuses(deliveries().lte('next_attempt_at', '2024-01-02T00:00:00.000Z')), ['sent']);
+        assert.deepEqual(await statuses(deliveries().neq('status', 'sent')), ['dead', 'failed']);
+        assert.deepEqual(
+            await statuses(deliveries().or('next_attempt_at.is.null,and(status.eq.failed,next_attempt_at.gt."2024-01-02T00:00:00Z")')),
+            ['dead', 'failed']
+        );
+    });
+
+    it('updates matching rows and touches updated_at where a trigger does', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data: webhook } = await db.from('webhooks').insert({ url: 'https://example.com', updated_at: '2020-01-01T00:00:00Z' }).select().single();
+
+        const { data } = await db.from('webhooks').update({ active: false }).eq('id', webhook.id).eq('active', true).select();
+        assert.equal(data.length, 1);
+        assert.equal(data[0].active, false);
+        assert.ok(Date.parse(data[0].updated_at) > Date.parse('2020-01-01T00:00:00Z'));
+
+        // A status-guarded claim that lost the race updates nothing
+        const again = await db.from('webhooks').update({ active: false }).eq('id', webhook.id).eq('active', true).select();
+        assert.deepEqual(again.data, []);
+    });
+
+    it('cascades deletes along foreign keys', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data: webhook } = await db.from('webhooks').insert({ url: 'https://example.com' }).select().single();
+        await db.from('deliveries').insert({ webhook_id: webhook.id });
+
+        await db.from('webhooks').delete().eq('id', webhook.id);
+        assert.deepEqual((await db.from('deliveries').select('id')).data, []);
+    });
+
+    it('embeds related rows both ways and filters on !inner embeds', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data: webhook } = await db.from('webhooks').insert({ url: 'https://example.com' }).select().single();
+        await db.from('deliveries').insert([
+            { webhook_id: webhook.id, status: 'sent', attempts: 2 },
+            { webhook_id: webhook.id, status: 'failed', attempts: 1 }
+        ]);
+
+        const { data: delivery } = await db.from('deliveries').select('status, webhook:webhooks(url)').eq('status', 'sent').single();
+        assert.deepEqual(delivery, { status: 'sent', webhook: { url: 'https://example.com' } });
+
+        const { data: withDeliveries } = await db.from('webhooks')
+            .select('url, deliveries(status)')
+            .order('attempts', { referencedTable: 'deliveries' })
+            .single();
+        assert.deepEqual(withDeliveries.deliveries, [{ status: 'failed' }, { status: 'sent' }]);
+
+        const inner = await db.from('webhooks').select('id, deliveries!inner(status)').eq('deliveries.status', 'dead');
+        assert.deepEqual(inner.data, []);
+    });
+
+    it('joins tables the schema does not declare on <singular>_id', async () => {
+        const db = createMemoryClient(SCHEMA);
+        await db.from('profiles').insert({ id: 'p1', phone: '+5511999999999' });
+        await db.from('groups').insert({ id: 'g1', name: 'Netflix' });
+        await db.from('group_members').insert({ id: 'm1', group_id: 'g1', profile_id: 'p1', is_leader: true });
+
+        const { data } = await db.from('groups').select('name, group_members(is_leader, profiles(phone))').single();
+        assert.deepEqual(data, { name: 'Netflix', group_members: [{ is_leader: true, profiles: { phone: '+5511999999999' } }] });
+    });
+
+    it('counts, limits and reports single() misses as PGRST116', async () => {
+        const db = createMemoryClient(SCHEMA);
+
+        const { count, data } = await db.from('templates').select('name', { count: 'exact' }).limit(1);
+        assert.equal(count, 2);
+        assert.equal(data.length, 1);
+
+        const head = await db.from('templates').select('name', { count: 'exact', head: true });
+        assert.equal(head.count, 2);
+        assert.equal(head.data, null);
+
+        assert.equal((await db.from('templates').select().eq('name', 'nope').single()).error.code, 'PGRST116');
+        assert.equal((await db.from('templates').select().eq('name', 'nope').maybeSingle()).data, null);
+    });
+
+    it('hands out copies, so callers cannot change stored rows', async () => {
+        const db = createMemoryClient(SCHEMA);
+        const { data } = await db.from('templates').select().eq('name', 'otp').single();
+
+        data.variables.push('extra');
+        assert.deepEqual((await db.from('templates').select('variables').eq('name', 'otp').single()).data.variables, ['code']);
+    });
+
+    it('loads supabase-schema.sql', async () => {
+        const db = createMemoryClient(await fs.readFile(new URL('../supabase-schema.sql', import.meta.url), 'utf8'));
+        const { data: message, error } = await db.from('whatsapp_messages').insert({ recipient: '5511999999999@s.whatsapp.net' }).select().single();
+
+        assert.equal(error, null);
+        assert.equal(message.status, 'queued');
+        assert.ok((await db.from('whatsapp_templates').select('id', { count: 'exact', head: true })).count > 0);
+    });
+});
+
+describe('storage', () => {
+    it('uploads, refuses to overwrite without upsert, and removes', async () => {
+        const bucket = createMemoryClient(SCHEMA).storage.from('receipts');
+
+        assert.deepEqual(await bucket.upload('a/b.jpg', Buffer.from('x'), { contentType: 'image/jpeg' }), { data: { path: 'a/b.jpg' }, error: null });
+        assert.equal((await bucket.upload('a/b.jpg', Buffer.from('y'))).error.statusCode, '409');
+        assert.equal((await bucket.upload('a/b.jpg', Buffer.from('y'), { upsert: true })).error, null);
+        assert.deepEqual((await bucket.remove(['a/b.jpg'])).data, [{ name: 'a/b.jpg' }]);
+    });
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { normalizePhoneNumber, formatPhoneNumber, getJidCandidates } from '../lib/phone.js';
+
+const SAO_PAULO_MOBILE = {
+    e164: '+5511999999999',
+    digits: '5511999999999',
+    country: 'BR',
+    nationalNumber: '11999999999'
+};
+
+describe('normalizePhoneNumber', () => {
+    it('reads national numbers as Brazilian however they are typed', () => {
+        for (const typed of ['11999999999', '(11) 99999-9999', '11 9 9999-9999', '+55 11 99999-9999', '0055 11 99999 9999', '011 99999-9999', '5511999999999']) {
+            assert.deepEqual(normalizePhoneNumber(typed), SAO_PAULO_MOBILE, typed);
+        }
+    });
+
+    it('keeps landlines without a 9th digit', () => {
+        assert.deepEqual(normalizePhoneNumber('(21) 3333-4444'), {
+            e164: '+552133334444',
+            digits: '552133334444',
+            country: 'BR',
+            nationalNumber: '2133334444'
+        });
+    });
+
+    it('accepts foreign numbers with or without "+"', () => {
+        assert.equal(normalizePhoneNumber('+1 415 555 2671').e164, '+14155552671');
+        assert.equal(normalizePhoneNumber('14155552671').e164, '+14155552671');
+        assert.equal(normalizePhoneNumber('+44 20 7946 0958').country, 'GB');
+        assert.equal(normalizePhoneNumber('00351912345678').e164, '+351912345678');
+    });
+
+    it('rejects anything that is not a valid number as a 400', () => {
+        for (const typed of ['', '   ', null, undefined, '123', 'abc', '+55 11 1234', '(11) 09999-9999']) {
+            assert.throws(() => normalizePhoneNumber(typed), { statusCode: 400, reason: 'invalid_phone' }, String(typed));
+        }
+    });
+});
+
+describe('formatPhoneNumber', () => {
+    it('turns a number into a user JID', () => {
+        assert.equal(formatPhoneNumber('(11) 99999-9999'), '5511999999999@s.whatsapp.net');
+    });
+
+    it('passes JIDs through untouched', () => {
+        assert.equal(formatPhoneNumber('120363025246125486@g.us'), '120363025246125486@g.us');
+        assert.equal(formatPhoneNumber('551199999999@s.whatsapp.net'), '551199999999@s.whatsapp.net');
+    });
+});
+
+describe('getJidCandidates', () => {
+    it('adds the pre-9th-digit JID for Brazilian mobiles', () => {
+        assert.deepEqual(getJidCandidates(SAO_PAULO_MOBILE), [
+            '5511999999999@s.whatsapp.net',
+            '551199999999@s.whatsapp.net'
+        ]);
+    });
+
+    it('leaves landlines and foreign numbers alone', () => {
+        assert.deepEqual(getJidCandidates(normalizePhoneNumber('(21) 3333-4444')), ['552133334444@s.whatsapp.net']);
+        assert.deepEqual(getJidCandidates(normalizePhoneNumber('+1 415 555 2671')), ['14155552671@s.whatsapp.net']);
+    });
+});
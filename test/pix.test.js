@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildPixPayload, crc16, isValidCpf, normalizePixKey, parsePixAmount } from '../lib/pix.js';
+
+// Example from the BCB "Manual de Padrões para Iniciação do Pix"
+const BCB_EXAMPLE = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+// Top-level EMV fields: id -> value
+function parseEmv(payload) {
+    const fields = {};
+
+    for (let index = 0; index < payload.length;) {
+        const id = payload.slice(index, index + 2);
+        const length = Number(payload.slice(index + 2, index + 4));
+        fields[id] = payload.slice(index + 4, index + 4 + length);
+        index += 4 + length;
+    }
+
+    return fields;
+}
+
+describe('crc16', () => {
+    it('matches the CRC-16/CCITT-FALSE check value', () => {
+        assert.equal(crc16('123456789'), '29B1');
+    });
+
+    it('matches the CRC of the BCB example', () => {
+        assert.equal(crc16(BCB_EXAMPLE.slice(0, -4)), BCB_EXAMPLE.slice(-4));
+    });
+});
+
+describe('buildPixPayload', () => {
+    it('builds the BCB example with an amount and our txid', () => {
+        const { payload, txid } = buildPixPayload({
+            pixKey: '123e4567-e12b-12d1-a456-426655440000',
+            value: 10,
+            merchantName: 'Fulano de Tal',
+            merchantCity: 'Brasília',
+            txid: 'RACHAAI1'
+        });
+
+        assert.equal(txid, 'RACHAAI1');
+        assert.equal(payload, '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000520400005303986540510.005802BR5913FULANO DE TAL6008BRASILIA62120508RACHAAI16304CA46');
+
+        const fields = parseEmv(payload);
+        const example = parseEmv(BCB_EXAMPLE);
+        for (const id of ['00', '26', '52', '53', '58', '60']) {
+            assert.equal(fields[id], example[id], `field ${id}`);
+        }
+        assert.equal(fields['54'], '10.00');
+    });
+
+    it('normalizes a typed phone key and adds the description', () => {
+        const { payload } = buildPixPayload({ pixKey: '(11) 99999-9999', value: '15,00', txid: 'ABC', description: 'Netflix' });
+
+        assert.equal(payload, '00020126470014br.gov.bcb.pix0114+55119999999990207NETFLIX520400005303986540515.005802BR5907RACHAAI6009SAO PAULO62070503ABC630494BC');
+        assert.equal(parseEmv(parseEmv(payload)['26'])['01'], '+5511999999999');
+    });
+
+    it('strips accents and truncates merchant name and city', () => {
+        const { payload, txid } = buildPixPayload({
+            pixKey: '123.456.789-09',
+            value: '1234.5',
+            merchantName: 'João Ñandú',
+            merchantCity: 'São José dos Campos',
+            txid: 'a-b_c'
+        });
+        const fields = parseEmv(payload);
+
+        assert.equal(txid, 'abc');
+        assert.equal(fields['59'], 'JOAO NANDU');
+        assert.equal(fields['60'], 'SAO JOSE DOS CA');
+        assert.equal(fields['54'], '1234.50');
+        assert.equal(fields['63'], crc16(payload.slice(0, -4)));
+    });
+
+    it('generates a txid when none is given', () => {
+        const { payload, txid } = buildPixPayload({ pixKey: 'joao@email.com', value: 5 });
+
+        assert.match(txid, /^RACHAAI[0-9A-F]{18}$/);
+        assert.equal(parseEmv(parseEmv(payload)['62'])['05'], txid);
+    });
+
+    it('rejects keys it cannot normalize and oversized account info', () => {
+        assert.throws(() => buildPixPayload({ pixKey: 'not a key', value: 10 }), { statusCode: 400, reason: 'invalid_pix' });
+        assert.throws(
+            () => buildPixPayload({ pixKey: `${'a'.repeat(60)}@email.com`, value: 10, description: 'x'.repeat(40) }),
+            { reason: 'invalid_pix', message: 'Pix key and description are too long' }
+        );
+    });
+});
+
+describe('normalizePixKey', () => {
+    it('returns each key type in its DICT form', () => {
+        const cases = {
+            '11999999999': '+5511999999999',
+            '(11) 99999-9999': '+5511999999999',
+            '+55 11 99999-9999': '+5511999999999',
+            '(11) 3333-4444': '+551133334444',
+            '123.456.789-09': '12345678909',
+            '52998224725': '52998224725',
+            '12.345.678/0001-95': '12345678000195',
+            'Joao@Email.com': 'joao@email.com',
+            '123E4567-E12B-12D1-A456-426655440000': '123e4567-e12b-12d1-a456-426655440000'
+        };
+
+        for (const [typed, expected] of Object.entries(cases)) {
+            assert.equal(normalizePixKey(typed), expected, typed);
+        }
+    });
+
+    it('returns null for anything else', () => {
+        for (const typed of ['', null, undefined, 'chave', '+1 415 555 2671', '123', 'x'.repeat(78)]) {
+            assert.equal(normalizePixKey(typed), null, String(typed));
+        }
+    });
+});
+
+describe('isValidCpf', () => {
+    it('checks both check digits', () => {
+        assert.equal(isValidCpf('52998224725'), true);
+        assert.equal(isValidCpf('12345678909'), true);
+        assert.equal(isValidCpf('52998224726'), false);
+        assert.equal(isValidCpf('11999999999'), false);
+        assert.equal(isValidCpf('11111111111'), false);
+        assert.equal(isValidCpf('5299822472'), false);
+    });
+});
+
+describe('parsePixAmount', () => {
+    it('accepts a dot or a comma and always has two decimals', () => {
+        assert.equal(parsePixAmount('14,90'), '14.90');
+        assert.equal(parsePixAmount('14.9'), '14.90');
+        assert.equal(parsePixAmount(14.9), '14.90');
+    });
+
+    it('rejects zero, negatives, text and amounts over the field size', () => {
+        for (const value of ['0', '-1', 'abc', '10000000000']) {
+            assert.throws(() => parsePixAmount(value), { statusCode: 400, reason: 'invalid_pix' }, value);
+        }
+    });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import { after, before, describe, it } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+const API_KEY = 'sandbox-test-key-0123456789abcdef';
+const NUMBER = '11999999999';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+// The whole service on TRANSPORT=sandbox with no Supabase: simulated WhatsApp,
+// in-memory tables. Empty SUPABASE_* also keeps a local .env from leaking in.
+describe('sandbox without Supabase', () => {
+    let child;
+    let baseUrl;
+    let output = '';
+
+    const api = async (method, path, body) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'X-API-Key': API_KEY, 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        const port = await getFreePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+
+        child = spawn(process.execPath, ['index.js'], {
+            cwd: new URL('..', import.meta.url),
+            env: {
+                ...process.env,
+                NODE_ENV: 'test',
+                TRANSPORT: 'sandbox',
+                PORT: String(port),
+                X_API_KEY: API_KEY,
+                SUPABASE_URL: '',
+                SUPABASE_SERVICE_KEY: '',
+                SEND_MIN_SPACING_MS: '0',
+                SEND_SPACING_JITTER_MS: '0'
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+
+        for (let attempt = 0; attempt < 100; attempt++) {
+            assert.equal(child.exitCode, null, `service exited:\n${output}`);
+
+            try {
+                const { body } = await api('GET', '/health');
+                if (body.connected) return;
+            } catch {
+                // Not listening yet
+            }
+            await sleep(100);
+        }
+
+        assert.fail(`sandbox session never connected:\n${output}`);
+    });
+
+    after(async () => {
+        if (!child || child.exitCode !== null) return;
+
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        await Promise.race([exited, sleep(10000)]);
+        if (child.exitCode === null) child.kill('SIGKILL');
+    });
+
+    it('delivers a queued message to the outbox and records it', async () => {
+        const sent = await api('POST', '/v1/messages', { number: NUMBER, text: 'Olá do sandbox' });
+        assert.equal(sent.status, 202, JSON.stringify(sent.body));
+
+        const outbox = await api('POST', '/v1/sandbox/outbox/assert', { to: NUMBER, contains: 'Olá do sandbox', count: 1, timeoutMs: 5000 });
+        assert.equal(outbox.status, 200, JSON.stringify(outbox.body));
+
+        // Marked sent right after the socket accepts it
+        let message;
+        for (let attempt = 0; attempt < 20 && message?.status !== 'sent'; attempt++) {
+            if (attempt) await sleep(100);
+            ({ body: { message } } = await api('GET', `/v1/messages/${sent.body.messageId}`));
+        }
+        assert.equal(message?.status, 'sent');
+    });
+
+    it('renders the seeded OTP template', async () => {
+        const sent = await api('POST', '/v1/send-otp', { number: NUMBER, code: '482913' });
+        assert.equal(sent.status, 202, JSON.stringify(sent.body));
+
+        const outbox = await api('POST', '/v1/sandbox/outbox/assert', { to: NUMBER, contains: '482913', count: 1, timeoutMs: 5000 });
+        assert.equal(outbox.status, 200, JSON.stringify(outbox.body));
+    });
+});